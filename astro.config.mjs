@@ -2,12 +2,14 @@
 import tailwindcss from "@tailwindcss/vite";
 import { defineConfig } from 'astro/config';
 import config from "./src/config/config.json";
+import { imageRegistry } from "./scripts/image-registry.js";
 
 // https://astro.build/config
 export default defineConfig({
     site: config.site.base_url ? config.site.base_url : "http://examplesite.com",
     base: config.site.base_path ? config.site.base_path : "/",
     trailingSlash: config.site.trailing_slash ? "always" : "never",
+    integrations: [imageRegistry()],
     vite: {
         plugins: [tailwindcss()],
         css: {
@@ -0,0 +1,168 @@
+// Quality checks for migrated titles and descriptions.
+//
+// WordPress titles carry the site name ("Donativos – Obra ABC") and meta
+// descriptions are often missing or scraped from markup, leaving entities,
+// Elementor JSON and menu text behind. Each field gets a 0-100 score with the
+// issues found; ContentProcessor replaces bad descriptions with a summary of
+// the first real paragraph and lists low scores for manual review.
+
+const TITLE_LENGTH = { min: 10, max: 60 };
+const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+
+// Fields scoring below this are replaced (descriptions) and listed for review
+const REVIEW_THRESHOLD = 70;
+
+const PENALTIES = {
+  empty: 100,
+  markup: 60,
+  json: 60,
+  entities: 40,
+  'site-name': 30,
+  'too-short': 25,
+  'too-long': 20,
+  duplicate: 30
+};
+
+const ENTITIES = {
+  amp: '&', quot: '"', apos: "'", lt: '<', gt: '>', nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', laquo: '«', raquo: '»',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Donativos – Obra ABC", "Obra ABC | Donativos" → "Donativos"
+function stripSiteName(title, siteName) {
+  if (!siteName) return title;
+  const name = escapeRegExp(siteName);
+  const separator = '\\s*[|–—\\-:·»]\\s*';
+  return title
+    .replace(new RegExp(`${separator}${name}.*$`, 'i'), '')
+    .replace(new RegExp(`^${name}${separator}`, 'i'), '')
+    .trim();
+}
+
+function findIssues(text, { siteName, length }) {
+  const issues = [];
+  if (!text || !text.trim()) return ['empty'];
+
+  if (/<\/?[a-z][^>]*>|\bdata-[\w-]+=|\bclass=/i.test(text)) issues.push('markup');
+  if (/[{}]|\\"|"\s*:\s*["{[]|"\s*,\s*"/.test(text)) issues.push('json');
+  if (/&(#\d+|#x[0-9a-f]+|[a-z]+);/i.test(text)) issues.push('entities');
+  if (siteName && new RegExp(`[|–—\\-:·»]\\s*${escapeRegExp(siteName)}\\s*$`, 'i').test(text)) {
+    issues.push('site-name');
+  }
+  if (text.length < length.min) issues.push('too-short');
+  if (text.length > length.max) issues.push('too-long');
+  return issues;
+}
+
+function toScore(issues) {
+  const penalty = issues.reduce((sum, issue) => sum + (PENALTIES[issue] ?? 0), 0);
+  return Math.max(0, 100 - penalty);
+}
+
+/**
+ * @returns {{ score: number, issues: string[] }}
+ */
+function scoreTitle(title, { siteName } = {}) {
+  const issues = findIssues(title, { siteName, length: TITLE_LENGTH });
+  return { score: toScore(issues), issues };
+}
+
+function scoreDescription(description, { siteName } = {}) {
+  const issues = findIssues(description, { siteName, length: DESCRIPTION_LENGTH });
+  return { score: toScore(issues), issues };
+}
+
+function cleanTitle(title, { siteName } = {}) {
+  return stripSiteName(decodeEntities(title || '').replace(/\s+/g, ' ').trim(), siteName);
+}
+
+// Cuts at a word boundary so descriptions do not end mid-word
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > max * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.–—-]+$/, '')}…`;
+}
+
+// Plain text of a Markdown paragraph
+function markdownToText(paragraph) {
+  return paragraph
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\\([\\`*_[\]#>+\-.!])/g, '$1')
+    .replace(/(\*\*|__|\*|_|~~|`)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Summary from the first paragraph of real prose in the Markdown body:
+ * headings, lists, tables, quotes, embeds and button-like lines are skipped.
+ */
+function summarize(markdown, { siteName } = {}) {
+  const paragraphs = (markdown || '')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    // Also when escaped (\#, \>): headings typed as plain text in the old editor
+    .filter(block => block && !/^\\?(#|[-*+]\s|\d+\\?\.\s|\||>|<|!\[|```|---)/.test(block))
+    .map(markdownToText)
+    // Button labels and taglines are short or shouted ("DOAR AQUI")
+    .filter(text => text.length >= 40 && text !== text.toUpperCase())
+    .filter(text => findIssues(text, { siteName, length: { min: 0, max: Infinity } }).length === 0);
+
+  if (paragraphs.length === 0) return '';
+
+  // Short first paragraphs are followed by the next one
+  let summary = paragraphs[0];
+  if (summary.length < DESCRIPTION_LENGTH.min && paragraphs[1]) {
+    summary += ` ${paragraphs[1]}`;
+  }
+  return truncate(summary, DESCRIPTION_LENGTH.max);
+}
+
+// Adds a "duplicate" issue to every field whose value appears on more than one page
+function markDuplicates(entries, field) {
+  const byValue = new Map();
+  entries.forEach(entry => {
+    const value = entry[field].value.trim().toLowerCase();
+    if (!value) return;
+    if (!byValue.has(value)) byValue.set(value, []);
+    byValue.get(value).push(entry);
+  });
+
+  byValue.forEach(group => {
+    if (group.length < 2) return;
+    group.forEach(entry => {
+      const quality = entry[field];
+      if (!quality.issues.includes('duplicate')) {
+        quality.issues.push('duplicate');
+        quality.score = toScore(quality.issues);
+      }
+      quality.duplicateOf = group.filter(other => other !== entry).map(other => other.slug);
+    });
+  });
+}
+
+export {
+  REVIEW_THRESHOLD,
+  cleanTitle,
+  decodeEntities,
+  markDuplicates,
+  scoreDescription,
+  scoreTitle,
+  stripSiteName,
+  summarize,
+  truncate
+};
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+// Staging area for generated content. ContentProcessor writes here instead of
+// into the tree; files are reviewed with `status`/`diff` and promoted with `apply`.
+//
+//   node scripts/content-staging.js status
+//   node scripts/content-staging.js diff [file-or-dir ...]
+//   node scripts/content-staging.js apply <file-or-dir ...> | --all
+//   node scripts/content-staging.js discard
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_STAGING_DIR = path.join(PROJECT_ROOT, 'migration-staging');
+
+class ContentStaging {
+  constructor(stagingDir = DEFAULT_STAGING_DIR, projectRoot = PROJECT_ROOT) {
+    this.stagingDir = stagingDir;
+    this.projectRoot = projectRoot;
+  }
+
+  async clear() {
+    await fs.rm(this.stagingDir, { recursive: true, force: true });
+    await fs.mkdir(this.stagingDir, { recursive: true });
+  }
+
+  // Files are staged under the same project-relative path they will be applied to
+  relativePath(livePath) {
+    const relative = path.relative(this.projectRoot, path.resolve(livePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Cannot stage ${livePath}: it is outside the project`);
+    }
+    return relative;
+  }
+
+  async write(livePath, data) {
+    const stagedPath = path.join(this.stagingDir, this.relativePath(livePath));
+    await fs.mkdir(path.dirname(stagedPath), { recursive: true });
+    await fs.writeFile(stagedPath, data);
+    return stagedPath;
+  }
+
+  async existsInTree(livePath) {
+    try {
+      await fs.access(path.join(this.projectRoot, this.relativePath(livePath)));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async listFiles(dir = this.stagingDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(fullPath));
+      } else {
+        files.push(path.relative(this.stagingDir, fullPath));
+      }
+    }
+    return files.sort();
+  }
+
+  async status() {
+    const files = await this.listFiles();
+    return await Promise.all(files.map(async file => {
+      const staged = await fs.readFile(path.join(this.stagingDir, file));
+      let current;
+      try {
+        current = await fs.readFile(path.join(this.projectRoot, file));
+      } catch {
+        return { file, status: 'new' };
+      }
+      return { file, status: staged.equals(current) ? 'unchanged' : 'modified' };
+    }));
+  }
+
+  // Unified diff of one staged file against the tree (via git diff --no-index)
+  async diff(file) {
+    const livePath = path.join(this.projectRoot, file);
+    const stagedPath = path.join(this.stagingDir, file);
+    const before = await this.existsInTree(livePath) ? livePath : '/dev/null';
+
+    return await new Promise((resolve, reject) => {
+      execFile(
+        'git',
+        ['diff', '--no-index', '--color=never', '--', before, stagedPath],
+        { maxBuffer: 32 * 1024 * 1024 },
+        (error, stdout) => {
+          // Exit code 1 just means the files differ
+          if (error && error.code !== 1) {
+            reject(error);
+            return;
+          }
+          // Show both sides as a/<file> and b/<file>
+          resolve(stdout
+            .split(this.stagingDir).join('')
+            .split(this.projectRoot).join(''));
+        }
+      );
+    });
+  }
+
+  // Selectors are project-relative files or directories, e.g.
+  // src/content/articles or src/content/pages/donativos.md
+  matches(file, selectors) {
+    return selectors.some(selector => {
+      let relative = path.relative(this.projectRoot, path.resolve(selector));
+      const stagingPrefix = path.relative(this.projectRoot, this.stagingDir) + path.sep;
+      if (relative.startsWith(stagingPrefix)) {
+        relative = relative.slice(stagingPrefix.length);
+      }
+      return file === relative || file.startsWith(relative + path.sep);
+    });
+  }
+
+  async apply(selectors = [], { all = false } = {}) {
+    const files = (await this.listFiles())
+      .filter(file => all || this.matches(file, selectors));
+
+    for (const file of files) {
+      const target = path.join(this.projectRoot, file);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(path.join(this.stagingDir, file), target);
+      await fs.rm(path.join(this.stagingDir, file));
+    }
+
+    await this.pruneEmptyDirs(this.stagingDir);
+    return files;
+  }
+
+  async pruneEmptyDirs(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        const child = path.join(dir, entry.name);
+        await this.pruneEmptyDirs(child);
+        if ((await fs.readdir(child)).length === 0) {
+          await fs.rmdir(child);
+        }
+      }
+    }
+  }
+
+  async printStatus() {
+    const entries = await this.status();
+    if (entries.length === 0) {
+      console.log('📭 Nothing staged');
+      return entries;
+    }
+
+    const icons = { new: '🆕', modified: '✏️ ', unchanged: '  ' };
+    entries.forEach(({ file, status }) => {
+      console.log(`   ${icons[status]} ${status.padEnd(9)} ${file}`);
+    });
+
+    const count = status => entries.filter(entry => entry.status === status).length;
+    console.log(`\n📦 ${entries.length} staged files: ${count('new')} new, ${count('modified')} modified, ${count('unchanged')} unchanged`);
+    return entries;
+  }
+}
+
+// CLI execution
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const staging = new ContentStaging();
+
+  try {
+    switch (command) {
+      case 'status':
+        await staging.printStatus();
+        break;
+
+      case 'diff': {
+        const entries = (await staging.status())
+          .filter(entry => entry.status !== 'unchanged')
+          .filter(entry => args.length === 0 || staging.matches(entry.file, args));
+        for (const { file } of entries) {
+          process.stdout.write(await staging.diff(file));
+        }
+        if (entries.length === 0) {
+          console.log('✅ No differences between staging and the tree');
+        }
+        break;
+      }
+
+      case 'apply': {
+        const all = args.includes('--all');
+        const selectors = args.filter(arg => arg !== '--all');
+        if (!all && selectors.length === 0) {
+          console.error('Usage: node scripts/content-staging.js apply <file-or-dir ...> | --all');
+          process.exit(1);
+        }
+        const applied = await staging.apply(selectors, { all });
+        applied.forEach(file => console.log(`   ✓ ${file}`));
+        console.log(`✅ Applied ${applied.length} files`);
+        break;
+      }
+
+      case 'discard':
+        await fs.rm(staging.stagingDir, { recursive: true, force: true });
+        console.log('🗑️  Staging area discarded');
+        break;
+
+      default:
+        console.log('Usage: node scripts/content-staging.js [status|diff|apply|discard]');
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('💥 Staging command failed:', error);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+export { ContentStaging };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,21 +1,74 @@
 import { chromium } from 'playwright';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { URL } from 'url';
 import { fileURLToPath } from 'url';
+import { createCrawlSource } from './crawl-sources.js';
+import { buildLinkGraph, toDot } from './link-graph.js';
+import { normalizeUrl } from './url-normalizer.js';
+import { DEFAULT_SETTINGS, resolvePipelineSettings } from './pipeline-settings.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const STATE_VERSION = 1;
+
+// Linked files that are collected as documents instead of crawled as pages
+const DOCUMENT_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
+  '.odt', '.ods', '.odp', '.rtf', '.csv', '.zip'
+];
+
 class ObraABCSiteCrawler {
-  constructor(baseUrl = 'https://obraabc.org') {
+  constructor(baseUrl = DEFAULT_SETTINGS.siteUrl, options = {}) {
     this.baseUrl = baseUrl;
+    this.source = createCrawlSource(baseUrl, options.source);
     this.visitedUrls = new Set();
+    this.internalLinks = new Set();
     this.pagesData = [];
+    // Pages being fetched right now; they hold a slot of the maxPages budget
+    this.pagesInFlight = 0;
+    this.pageFiles = {};
     this.images = new Set();
     this.errors = [];
     this.browser = null;
     this.outputDir = path.join(__dirname, '../crawled-data');
+    this.statePath = path.join(this.outputDir, 'crawl-state.json');
+    this.startedAt = new Date().toISOString();
+    this.resumed = false;
+
+    // Batch size, delays, selectors and scope (see pipeline-settings.js)
+    this.settings = { ...DEFAULT_SETTINGS.crawler, ...options.crawler };
+    this.userAgent = this.settings.userAgent;
+    this.depths = new Map([[baseUrl, 0]]);
+
+    // robots.txt and sitemap discovery
+    this.robotsRules = [];
+    this.crawlDelay = null;
+    this.sitemaps = [];
+    this.sitemapUrls = new Set();
+    this.linkedUrls = new Set();
+    this.blockedUrls = new Set();
+
+    // Resume / retry behaviour
+    this.resume = options.resume ?? true;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelay = options.retryBaseDelay ?? 2000;
+
+    // Incremental mode compares against the previous pages-data.json
+    this.incremental = options.incremental ?? false;
+    this.previousPages = new Map();
+    this.previousCrawlDate = null;
+    this.reusedPages = 0;
+
+    // Linked documents (PDFs, spreadsheets, ...) and where they were linked from
+    this.documents = new Map();
+    this.downloadDocuments = options.downloadDocuments ?? true;
+    // Downloaded into the crawl output; process-content.js stages them under
+    // public/documents/ and `content-staging.js apply` publishes them
+    this.documentsDir = path.join(this.outputDir, 'documents');
+    this.documentsPublicPath = '/documents';
   }
 
   async initialize() {
@@ -25,45 +78,162 @@ class ObraABCSiteCrawler {
     await fs.mkdir(path.join(this.outputDir, 'images'), { recursive: true });
     await fs.mkdir(path.join(this.outputDir, 'assets'), { recursive: true });
 
+    if (this.incremental) {
+      await this.loadPreviousCrawl();
+    }
+
+    if (this.resume) {
+      await this.loadState();
+    }
+
+    await this.source.open();
+
     // Launch browser
     this.browser = await chromium.launch({ headless: true });
     console.log('🚀 Browser launched successfully');
   }
 
+  async loadState() {
+    let state;
+    try {
+      state = JSON.parse(await fs.readFile(this.statePath, 'utf-8'));
+    } catch {
+      return; // No previous crawl to resume
+    }
+
+    if (state.version !== STATE_VERSION || state.baseUrl !== this.baseUrl || state.completed) {
+      console.log('🆕 Previous crawl finished or incompatible, starting fresh');
+      return;
+    }
+
+    // Reload pages that were already extracted
+    for (const [url, filename] of Object.entries(state.pages || {})) {
+      try {
+        const pageData = JSON.parse(
+          await fs.readFile(path.join(this.outputDir, 'pages', filename), 'utf-8')
+        );
+        this.pagesData.push(pageData);
+        this.pageFiles[url] = filename;
+        this.visitedUrls.add(url);
+      } catch {
+        // Page file is missing or corrupt, crawl it again
+      }
+    }
+
+    // Queues saved by older crawls may still hold fragments and tracking parameters
+    (state.discovered || []).forEach(url => this.internalLinks.add(normalizeUrl(url) ?? url));
+    (state.linked || []).forEach(url => this.linkedUrls.add(url));
+    (state.blocked || []).forEach(url => this.blockedUrls.add(url));
+    (state.images || []).forEach(img => this.images.add(img));
+    (state.documents || []).forEach(doc => this.documents.set(doc.url, doc));
+    Object.entries(state.depths || {}).forEach(([url, depth]) => this.depths.set(url, depth));
+
+    // URLs that failed last time go back into the queue for another attempt
+    (state.failed || []).forEach(({ url }) => this.internalLinks.add(normalizeUrl(url) ?? url));
+
+    this.startedAt = state.startedAt || this.startedAt;
+    this.resumed = true;
+    console.log(`♻️  Resuming crawl: ${this.pagesData.length} pages done, ${this.getPendingUrls().length} queued`);
+  }
+
+  async loadPreviousCrawl() {
+    try {
+      const previousPages = JSON.parse(
+        await fs.readFile(path.join(this.outputDir, 'pages-data.json'), 'utf-8')
+      );
+      previousPages.forEach(page => this.previousPages.set(page.url, page));
+
+      const summary = JSON.parse(
+        await fs.readFile(path.join(this.outputDir, 'crawl-summary.json'), 'utf-8')
+      );
+      this.previousCrawlDate = summary.crawlDate;
+    } catch {
+      // Missing summary only loses the date; missing pages means a first crawl
+    }
+
+    console.log(this.previousPages.size > 0
+      ? `🔁 Incremental crawl against ${this.previousPages.size} previously crawled pages`
+      : '🔁 No previous crawl found, every page will be reported as new');
+  }
+
+  async saveState({ completed = false } = {}) {
+    const state = {
+      version: STATE_VERSION,
+      baseUrl: this.baseUrl,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      completed,
+      queue: this.getPendingUrls(),
+      discovered: Array.from(this.internalLinks),
+      linked: Array.from(this.linkedUrls),
+      blocked: Array.from(this.blockedUrls),
+      pages: this.pageFiles,
+      failed: this.errors,
+      images: Array.from(this.images),
+      documents: Array.from(this.documents.values()),
+      depths: Object.fromEntries(this.depths)
+    };
+
+    // Write to a temp file first so an interrupted write never corrupts the state
+    const tmpPath = `${this.statePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await fs.rename(tmpPath, this.statePath);
+  }
+
   async crawlSite() {
-    console.log(`🕷️  Starting crawl of ${this.baseUrl}`);
+    console.log(`🕷️  Starting crawl of ${this.baseUrl}` +
+      (this.source.offline ? ` (offline, ${this.source.type} source)` : ''));
+
+    await this.loadRobotsTxt();
+    await this.seedFromSitemaps();
+
+    // Honour Crawl-delay by fetching one page at a time with at least that pause
+    const batchSize = this.crawlDelay ? 1 : this.settings.concurrency;
+    const batchDelay = Math.max(this.settings.delay, (this.crawlDelay || 0) * 1000);
     
     const context = await this.browser.newContext({
-      userAgent: 'Mozilla/5.0 (compatible; ObraABC-Crawler/1.0; Site Migration Bot)',
-      viewport: { width: 1920, height: 1080 }
+      userAgent: this.userAgent,
+      viewport: this.settings.viewport
     });
+    await this.source.attach(context);
 
     try {
-      // Start with homepage
-      await this.crawlPage(context, this.baseUrl);
+      // Start with homepage (already done when resuming); normalised so that
+      // links to "https://obraabc.org/" do not crawl it a second time
+      const startUrl = normalizeUrl(this.baseUrl) ?? this.baseUrl;
+      this.linkedUrls.add(startUrl);
+      if (!this.visitedUrls.has(startUrl)) {
+        await this.crawlPage(context, startUrl);
+        await this.saveState();
+      }
 
       // Process discovered internal links
-      let currentBatch = Array.from(this.getInternalLinks()).filter(url => !this.visitedUrls.has(url));
+      let currentBatch = this.getNextUrls();
       
       while (currentBatch.length > 0) {
         console.log(`📄 Processing batch of ${currentBatch.length} pages...`);
         
         // Process in parallel batches to avoid overwhelming the server
-        const batchSize = 5;
         for (let i = 0; i < currentBatch.length; i += batchSize) {
           const batch = currentBatch.slice(i, i + batchSize);
           await Promise.allSettled(
             batch.map(url => this.crawlPage(context, url))
           );
+          await this.saveState();
           
           // Brief delay between batches
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          await new Promise(resolve => setTimeout(resolve, batchDelay));
         }
 
         // Get next batch of undiscovered links
-        currentBatch = Array.from(this.getInternalLinks()).filter(url => !this.visitedUrls.has(url));
+        currentBatch = this.getNextUrls();
+      }
+
+      if (!this.hasPageBudget()) {
+        console.log(`🛑 Reached the limit of ${this.settings.maxPages} pages`);
       }
 
+      await this.saveState({ completed: true });
       console.log(`✅ Crawling completed! Found ${this.pagesData.length} pages`);
       
     } finally {
@@ -72,52 +242,434 @@ class ObraABCSiteCrawler {
   }
 
   async crawlPage(context, url) {
-    if (this.visitedUrls.has(url)) return;
+    if (this.visitedUrls.has(url) || !this.hasPageBudget()) return;
+    this.visitedUrls.add(url);
+
+    if (!this.isAllowedByRobots(url)) {
+      console.log(`🚫 Blocked by robots.txt: ${url}`);
+      this.blockedUrls.add(url);
+      return;
+    }
     
     console.log(`📖 Crawling: ${url}`);
-    this.visitedUrls.add(url);
+
+    // Reserved before the first await, so the other workers of a batch see it
+    this.pagesInFlight++;
+    try {
+      await this.fetchWithRetries(context, url);
+    } finally {
+      this.pagesInFlight--;
+    }
+  }
+
+  async fetchWithRetries(context, url) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.fetchPage(context, url);
+        return;
+      } catch (error) {
+        const type = this.classifyError(error);
+
+        if (attempt <= this.maxRetries && this.isRetryable(type, error)) {
+          const delay = this.retryBaseDelay * 2 ** (attempt - 1);
+          console.warn(`   🔁 ${type} on ${url}, retrying in ${delay}ms (${attempt}/${this.maxRetries})`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        console.error(`   ❌ Error crawling ${url}: ${error.message}`);
+        this.errors.push({
+          url,
+          type,
+          status: error.status ?? null,
+          error: error.message,
+          attempts: attempt
+        });
+        return;
+      }
+    }
+  }
+
+  async fetchPage(context, url) {
+    const previous = this.previousPages.get(url);
+    if (previous && await this.isUnchangedOnServer(url, previous.fingerprint)) {
+      await this.reusePreviousPage(previous);
+      return;
+    }
 
     const page = await context.newPage();
     
     try {
       // Navigate to page with timeout and wait for content
-      await page.goto(url, { 
+      const response = await page.goto(url, { 
         waitUntil: 'domcontentloaded', 
-        timeout: 30000 
+        timeout: this.settings.timeout 
       });
 
+      if (response && response.status() >= 400) {
+        const error = new Error(`HTTP ${response.status()}: ${response.statusText()}`);
+        error.status = response.status();
+        throw error;
+      }
+
       // Wait a bit for dynamic content to load
-      await page.waitForTimeout(2000);
+      await page.waitForTimeout(this.settings.pageWait);
 
       // Extract page data
       const pageData = await this.extractPageData(page, url);
-      this.pagesData.push(pageData);
+      const headers = response ? response.headers() : {};
+      pageData.fingerprint = {
+        contentHash: this.hashContent(pageData.content.main),
+        etag: headers['etag'] || null,
+        lastModified: headers['last-modified'] || null
+      };
 
       // Extract links for further crawling
       const links = await this.extractLinks(page);
-      links.forEach(link => {
-        if (this.isInternalLink(link)) {
-          this.internalLinks = this.internalLinks || new Set();
-          this.internalLinks.add(link);
-        }
-      });
 
       // Extract images
       const images = await this.extractImages(page);
-      images.forEach(img => this.images.add(img));
+
+      // Only record the page once every extraction step has succeeded, so a
+      // retry after a failure does not add it twice
+      await this.savePageFile(pageData);
+      this.pagesData.push(pageData);
+      links.forEach(({ href, text }) => this.registerLink(href, text, url));
+      // One entry per occurrence; ImageOptimizer groups them into usages of one asset
+      images.forEach(img => this.images.add({ ...img, page: url }));
 
       console.log(`   ✓ Extracted: ${pageData.title || 'Untitled'}`);
 
-    } catch (error) {
-      console.error(`   ❌ Error crawling ${url}: ${error.message}`);
-      this.errors.push({ url, error: error.message });
     } finally {
       await page.close();
     }
   }
 
+  async fetchText(url) {
+    const response = await this.source.fetch(url, {
+      headers: { 'User-Agent': this.userAgent },
+      signal: AbortSignal.timeout(30000)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return await response.text();
+  }
+
+  async loadRobotsTxt() {
+    const robotsUrl = new URL('/robots.txt', this.baseUrl).href;
+
+    let robotsTxt;
+    try {
+      robotsTxt = await this.fetchText(robotsUrl);
+    } catch (error) {
+      console.log(`🤖 No robots.txt available (${error.message}), crawling without restrictions`);
+      return;
+    }
+
+    const { rules, crawlDelay, sitemaps } = this.parseRobotsTxt(robotsTxt);
+    this.robotsRules = rules;
+    this.crawlDelay = crawlDelay;
+    this.sitemaps = sitemaps;
+
+    console.log(`🤖 robots.txt: ${rules.length} rules, ${sitemaps.length} sitemaps` +
+      (crawlDelay ? `, crawl delay ${crawlDelay}s` : ''));
+  }
+
+  parseRobotsTxt(robotsTxt) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+
+    for (const rawLine of robotsTxt.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share the same group
+        if (!current || current.rules.length > 0 || current.crawlDelay !== null) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+      } else if (current && (field === 'allow' || field === 'disallow')) {
+        // An empty Disallow allows everything
+        if (value) current.rules.push({ allow: field === 'allow', path: value });
+      } else if (current && field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay)) current.crawlDelay = delay;
+      }
+    }
+
+    // Prefer a group addressed to this crawler, fall back to the wildcard group
+    const group = groups.find(g => g.agents.some(agent => agent !== '*' && /obraabc-crawler/.test(agent))) ||
+      groups.find(g => g.agents.includes('*'));
+
+    return {
+      rules: group ? group.rules : [],
+      crawlDelay: group ? group.crawlDelay : null,
+      sitemaps
+    };
+  }
+
+  isAllowedByRobots(url) {
+    if (this.robotsRules.length === 0) return true;
+
+    let target;
+    try {
+      const urlObj = new URL(url);
+      target = urlObj.pathname + urlObj.search;
+    } catch {
+      return false;
+    }
+
+    // Longest matching rule wins; Allow wins a tie
+    let match = null;
+    for (const rule of this.robotsRules) {
+      if (!this.robotsPatternToRegExp(rule.path).test(target)) continue;
+      if (!match || rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow)) {
+        match = rule;
+      }
+    }
+
+    return !match || match.allow;
+  }
+
+  robotsPatternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  async seedFromSitemaps() {
+    const sitemapQueue = this.sitemaps.length > 0
+      ? [...this.sitemaps]
+      : [new URL('/sitemap.xml', this.baseUrl).href];
+    const seenSitemaps = new Set();
+
+    while (sitemapQueue.length > 0) {
+      const sitemapUrl = sitemapQueue.shift();
+      if (seenSitemaps.has(sitemapUrl)) continue;
+      seenSitemaps.add(sitemapUrl);
+
+      let xml;
+      try {
+        xml = await this.fetchText(sitemapUrl);
+      } catch (error) {
+        console.log(`🗺️  Could not read sitemap ${sitemapUrl}: ${error.message}`);
+        continue;
+      }
+
+      const locations = Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?\s*<\/loc>/gis))
+        .map(match => this.decodeXmlEntities(match[1].trim()));
+
+      if (/<sitemapindex[\s>]/i.test(xml)) {
+        // Sitemap index: queue the child sitemaps
+        sitemapQueue.push(...locations);
+        continue;
+      }
+
+      let added = 0;
+      for (const location of locations) {
+        const loc = normalizeUrl(location);
+        if (!loc || !this.isInternalLink(loc) || !this.isInScope(loc)) continue;
+        this.sitemapUrls.add(loc);
+        if (!this.isAllowedByRobots(loc)) {
+          this.blockedUrls.add(loc);
+          continue;
+        }
+        if (!this.depths.has(loc)) this.depths.set(loc, 1);
+        if (!this.isWithinDepth(this.depths.get(loc))) continue;
+        this.internalLinks.add(loc);
+        added++;
+      }
+      console.log(`🗺️  Sitemap ${sitemapUrl}: ${added} URLs queued`);
+    }
+  }
+
+  decodeXmlEntities(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  // Strip markup that changes on every request (scripts, nonces) so only
+  // real content edits change the hash
+  hashContent(html = '') {
+    const normalized = html
+      .replace(/<script[\s\S]*?<\/script>/gi, '')
+      .replace(/<style[\s\S]*?<\/style>/gi, '')
+      .replace(/\s(?:nonce|data-nonce|data-security)="[^"]*"/gi, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  async isUnchangedOnServer(url, fingerprint) {
+    if (!fingerprint || (!fingerprint.etag && !fingerprint.lastModified)) return false;
+
+    const headers = { 'User-Agent': this.userAgent };
+    if (fingerprint.etag) headers['If-None-Match'] = fingerprint.etag;
+    if (fingerprint.lastModified) headers['If-Modified-Since'] = fingerprint.lastModified;
+
+    try {
+      const response = await this.source.fetch(url, {
+        method: 'HEAD',
+        headers,
+        signal: AbortSignal.timeout(30000)
+      });
+      if (response.status === 304) return true;
+
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+      return Boolean(
+        (fingerprint.etag && etag === fingerprint.etag) ||
+        (!fingerprint.etag && fingerprint.lastModified && lastModified === fingerprint.lastModified)
+      );
+    } catch {
+      return false; // Fall back to a full render
+    }
+  }
+
+  async reusePreviousPage(previous) {
+    await this.savePageFile(previous);
+    this.pagesData.push(previous);
+    this.reusedPages++;
+
+    // Keep discovering links and images from the stored copy
+    (previous.links || []).forEach(({ href, text }) => {
+      if (href && !href.startsWith('mailto:') && !href.startsWith('tel:')) {
+        this.registerLink(href, text, previous.url);
+      }
+    });
+    (previous.images || []).forEach(({ src, alt, width, height }) => {
+      if (src) this.images.add({ src, alt: alt || '', width, height, page: previous.url });
+    });
+
+    console.log(`   ⏭️  Unchanged (ETag/Last-Modified): ${previous.title || previous.url}`);
+  }
+
+  buildCrawlDiff() {
+    const diff = {
+      generatedAt: new Date().toISOString(),
+      previousCrawlDate: this.previousCrawlDate,
+      added: [],
+      changed: [],
+      removed: [],
+      notChecked: [],
+      unchanged: [],
+      failed: this.errors.map(error => error.url)
+    };
+
+    const currentUrls = new Set();
+    for (const page of this.pagesData) {
+      currentUrls.add(page.url);
+      const previous = this.previousPages.get(page.url);
+      const entry = {
+        url: page.url,
+        contentHash: page.fingerprint?.contentHash || null
+      };
+
+      if (!previous) {
+        diff.added.push(entry);
+      } else if (previous.fingerprint?.contentHash !== entry.contentHash) {
+        diff.changed.push({ ...entry, previousHash: previous.fingerprint?.contentHash || null });
+      } else {
+        diff.unchanged.push(entry);
+      }
+    }
+
+    // A page only counts as removed when this run checked it: the server
+    // answered 404/410, or every page that used to link to it was crawled
+    // again and none of them does any more. Pages left out by maxPages, the
+    // scope filter or robots.txt may well still exist.
+    const goneUrls = new Set(this.errors
+      .filter(error => error.status === 404 || error.status === 410)
+      .map(error => error.url));
+    const currentLinks = new Set(this.pagesData.flatMap(page => (page.links || []).map(({ href }) => normalizeUrl(href))));
+    const previousLinkers = new Map();
+    for (const page of this.previousPages.values()) {
+      for (const { href } of page.links || []) {
+        const target = normalizeUrl(href);
+        if (!target || target === page.url) continue;
+        if (!previousLinkers.has(target)) previousLinkers.set(target, new Set());
+        previousLinkers.get(target).add(page.url);
+      }
+    }
+
+    for (const url of this.previousPages.keys()) {
+      if (currentUrls.has(url)) continue;
+
+      const linkers = Array.from(previousLinkers.get(url) || []);
+      if (goneUrls.has(url)) {
+        diff.removed.push({ url, reason: 'gone' });
+      } else if (diff.failed.includes(url)) {
+        // Already listed under failed; it may still exist
+      } else if (linkers.length > 0 && linkers.every(linker => currentUrls.has(linker)) &&
+        !currentLinks.has(url) && !this.sitemapUrls.has(url)) {
+        diff.removed.push({ url, reason: 'unlinked' });
+      } else {
+        diff.notChecked.push({ url });
+      }
+    }
+
+    return diff;
+  }
+
+  classifyError(error) {
+    if (error.status) return 'http';
+    if (error.name === 'TimeoutError' || /timeout/i.test(error.message)) return 'timeout';
+    return 'navigation';
+  }
+
+  isRetryable(type, error) {
+    // Client errors (404, 410, ...) won't fix themselves; rate limiting and server errors might
+    if (type === 'http') {
+      return error.status === 429 || error.status >= 500;
+    }
+    return true;
+  }
+
   async extractPageData(page, url) {
-    return await page.evaluate((currentUrl) => {
+    return await page.evaluate(({ currentUrl, contentSelectors }) => {
+      // First value of `key` anywhere in the page's JSON-LD (Yoast nests it in @graph)
+      const findJsonLd = (key) => {
+        const search = (node) => {
+          if (!node || typeof node !== 'object') return undefined;
+          if (typeof node[key] === 'string') return node[key];
+          for (const value of Object.values(node)) {
+            const found = search(value);
+            if (found) return found;
+          }
+          return undefined;
+        };
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+          try {
+            const found = search(JSON.parse(script.textContent));
+            if (found) return found;
+          } catch {
+            // Malformed JSON-LD is ignored
+          }
+        }
+        return '';
+      };
+
       const data = {
         url: currentUrl,
         timestamp: new Date().toISOString(),
@@ -131,6 +683,12 @@ class ObraABCSiteCrawler {
           ogTitle: document.querySelector('meta[property="og:title"]')?.content || '',
           ogDescription: document.querySelector('meta[property="og:description"]')?.content || '',
           ogImage: document.querySelector('meta[property="og:image"]')?.content || '',
+          publishedTime: document.querySelector('meta[property="article:published_time"]')?.content || '',
+          modifiedTime: document.querySelector('meta[property="article:modified_time"]')?.content || '',
+        },
+        structuredData: {
+          datePublished: findJsonLd('datePublished'),
+          dateModified: findJsonLd('dateModified'),
         },
         structure: {
           h1: Array.from(document.querySelectorAll('h1')).map(el => el.textContent?.trim()),
@@ -138,12 +696,10 @@ class ObraABCSiteCrawler {
           h3: Array.from(document.querySelectorAll('h3')).map(el => el.textContent?.trim()),
         },
         content: {
-          // Main content areas - adapt these selectors based on the site structure
-          main: document.querySelector('main')?.innerHTML || 
-                 document.querySelector('.main-content')?.innerHTML ||
-                 document.querySelector('#content')?.innerHTML ||
-                 document.querySelector('.content')?.innerHTML ||
-                 document.body.innerHTML,
+          // Main content area: first configured selector that matches
+          main: contentSelectors
+            .map(selector => document.querySelector(selector)?.innerHTML)
+            .find(Boolean) || document.body.innerHTML,
           
           // Extract text content for processing
           textContent: document.body.innerText || '',
@@ -154,17 +710,37 @@ class ObraABCSiteCrawler {
             href: link.href
           })),
           
-          // Forms
-          forms: Array.from(document.querySelectorAll('form')).map(form => ({
-            action: form.action,
-            method: form.method,
-            fields: Array.from(form.querySelectorAll('input, textarea, select')).map(field => ({
-              name: field.name,
-              type: field.type,
-              required: field.required,
-              placeholder: field.placeholder
-            }))
-          }))
+          // Forms, with what ContentProcessor needs to rebuild them as form definitions
+          forms: Array.from(document.querySelectorAll('form')).map(form => {
+            const submit = form.querySelector('button[type="submit"], button:not([type]), input[type="submit"]');
+            return {
+              id: form.id,
+              name: form.getAttribute('name') || '',
+              role: form.getAttribute('role') || '',
+              action: form.action,
+              method: form.method,
+              submitLabel: (submit?.tagName === 'INPUT' ? submit.value : submit?.textContent)?.trim() || '',
+              fields: Array.from(form.querySelectorAll('input, textarea, select')).map(field => {
+                const clean = text => (text || '').replace(/\s+/g, ' ').replace(/\s*\*$/, '').trim();
+                const label = (field.id && form.querySelector(`label[for="${CSS.escape(field.id)}"]`)) || field.closest('label');
+                // Radio and checkbox groups: the label of the whole group
+                const group = field.closest('fieldset')?.querySelector('legend')
+                  || field.closest('.elementor-field-group')?.querySelector('.elementor-field-label');
+                return {
+                  name: field.name,
+                  type: field.type,
+                  required: field.required,
+                  placeholder: field.placeholder,
+                  label: clean(label?.textContent || field.getAttribute('aria-label')),
+                  groupLabel: clean(group?.textContent),
+                  value: field.value,
+                  options: field.tagName === 'SELECT'
+                    ? Array.from(field.options).map(option => ({ value: option.value, label: clean(option.textContent) }))
+                    : undefined
+                };
+              })
+            };
+          })
         },
         images: Array.from(document.querySelectorAll('img')).map(img => ({
           src: img.src,
@@ -181,17 +757,161 @@ class ObraABCSiteCrawler {
       };
 
       return data;
-    }, url);
+    }, { currentUrl: url, contentSelectors: this.settings.contentSelectors });
   }
 
   async extractLinks(page) {
     return await page.evaluate(() => {
       return Array.from(document.querySelectorAll('a[href]'))
-        .map(link => link.href)
-        .filter(href => href && !href.startsWith('mailto:') && !href.startsWith('tel:'));
+        .map(link => ({ href: link.href, text: link.textContent?.trim() || '' }))
+        .filter(({ href }) => href && !href.startsWith('mailto:') && !href.startsWith('tel:'));
     });
   }
 
+  registerLink(link, text, pageUrl) {
+    // One URL per page: /donativos/#donativo and /donativos/?utm_source=x are /donativos/
+    const href = normalizeUrl(link);
+    if (!href || !this.isInternalLink(href)) return;
+
+    if (this.isDocumentUrl(href)) {
+      this.registerDocument(href, text, pageUrl);
+      return;
+    }
+
+    if (!this.isInScope(href)) return;
+
+    // Shortest click path from the start page wins
+    const depth = (this.depths.get(pageUrl) ?? 0) + 1;
+    if (!this.depths.has(href) || depth < this.depths.get(href)) {
+      this.depths.set(href, depth);
+    }
+    if (!this.isWithinDepth(this.depths.get(href))) return;
+
+    this.internalLinks.add(href);
+    this.linkedUrls.add(href);
+  }
+
+  isInScope(url) {
+    let target;
+    try {
+      const urlObj = new URL(url);
+      target = urlObj.pathname + urlObj.search;
+    } catch {
+      return false;
+    }
+
+    const matches = (pattern) => (pattern instanceof RegExp
+      ? pattern.test(target)
+      : this.robotsPatternToRegExp(pattern).test(target));
+
+    if (this.settings.exclude.some(matches)) return false;
+    return this.settings.include.length === 0 || this.settings.include.some(matches);
+  }
+
+  isWithinDepth(depth) {
+    return this.settings.maxDepth === null || depth <= this.settings.maxDepth;
+  }
+
+  // Finished pages and pages still being fetched both count, so a batch of
+  // concurrent workers cannot go past maxPages
+  remainingPageBudget() {
+    if (this.settings.maxPages === null) return Infinity;
+    return Math.max(0, this.settings.maxPages - this.pagesData.length - this.pagesInFlight);
+  }
+
+  hasPageBudget() {
+    return this.remainingPageBudget() > 0;
+  }
+
+  isDocumentUrl(url) {
+    try {
+      const pathname = new URL(url).pathname.toLowerCase();
+      return DOCUMENT_EXTENSIONS.some(ext => pathname.endsWith(ext));
+    } catch {
+      return false;
+    }
+  }
+
+  registerDocument(href, text, pageUrl) {
+    const urlObj = new URL(href);
+    urlObj.hash = '';
+    const url = urlObj.href;
+
+    if (!this.documents.has(url)) {
+      this.documents.set(url, { url, linkedFrom: [] });
+    }
+
+    const doc = this.documents.get(url);
+    if (!doc.linkedFrom.some(ref => ref.page === pageUrl && ref.text === text)) {
+      doc.linkedFrom.push({ page: pageUrl, text });
+    }
+  }
+
+  getDocumentLocalPath(url) {
+    // Keep the WordPress year/month folders so names stay unique
+    const pathname = decodeURIComponent(new URL(url).pathname);
+    return pathname
+      .replace(/^\/wp-content\/uploads\//, '')
+      .split('/')
+      .filter(part => part && part !== '.' && part !== '..')
+      .map(part => part.replace(/[^a-zA-Z0-9._-]/g, '-'))
+      .join('/');
+  }
+
+  async downloadAllDocuments() {
+    if (this.documents.size === 0) return [];
+
+    console.log(`📑 Downloading ${this.documents.size} linked documents...`);
+    const manifest = [];
+
+    for (const doc of this.documents.values()) {
+      const relativePath = this.getDocumentLocalPath(doc.url);
+      const outputPath = path.join(this.documentsDir, relativePath);
+      const entry = {
+        originalUrl: doc.url,
+        localPath: `${this.documentsPublicPath}/${relativePath}`,
+        filename: path.basename(relativePath),
+        size: null,
+        contentType: null,
+        linkedFrom: doc.linkedFrom,
+        error: null
+      };
+
+      try {
+        const stats = await fs.stat(outputPath).catch(() => null);
+        if (stats) {
+          entry.size = stats.size;
+          entry.contentType = doc.contentType || null;
+          console.log(`   ⏭️  Skipping existing: ${relativePath}`);
+        } else {
+          const response = await this.source.fetch(doc.url, {
+            headers: { 'User-Agent': this.userAgent },
+            signal: AbortSignal.timeout(60000)
+          });
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+
+          const body = Buffer.from(await response.arrayBuffer());
+          await fs.mkdir(path.dirname(outputPath), { recursive: true });
+          await fs.writeFile(outputPath, body);
+
+          entry.size = body.length;
+          entry.contentType = response.headers.get('content-type');
+          doc.contentType = entry.contentType;
+          console.log(`   ✓ Downloaded: ${relativePath} (${Math.round(body.length / 1024)} KB)`);
+        }
+      } catch (error) {
+        console.error(`   ❌ Error downloading ${doc.url}: ${error.message}`);
+        entry.error = error.message;
+      }
+
+      manifest.push(entry);
+    }
+
+    return manifest;
+  }
+
   async extractImages(page) {
     return await page.evaluate(() => {
       return Array.from(document.querySelectorAll('img[src]'))
@@ -216,26 +936,50 @@ class ObraABCSiteCrawler {
   }
 
   getInternalLinks() {
-    return this.internalLinks || new Set();
+    return this.internalLinks;
+  }
+
+  getPendingUrls() {
+    return Array.from(this.internalLinks).filter(url => !this.visitedUrls.has(url));
+  }
+
+  getNextUrls() {
+    const pending = this.getPendingUrls();
+    if (this.settings.maxPages === null) return pending;
+    return pending.slice(0, this.remainingPageBudget());
+  }
+
+  async savePageFile(pageData) {
+    const filename = this.createSafeFilename(pageData.url) + '.json';
+    await fs.writeFile(
+      path.join(this.outputDir, 'pages', filename),
+      JSON.stringify(pageData, null, 2)
+    );
+    this.pageFiles[pageData.url] = filename;
   }
 
   async saveResults() {
     console.log('💾 Saving crawl results...');
 
+    // Diff against the previous crawl before its pages-data.json is replaced
+    if (this.incremental) {
+      const diff = this.buildCrawlDiff();
+      await fs.writeFile(
+        path.join(this.outputDir, 'crawl-diff.json'),
+        JSON.stringify(diff, null, 2)
+      );
+      console.log(`   🆕 ${diff.added.length} new, ✏️  ${diff.changed.length} changed, ` +
+        `🗑️  ${diff.removed.length} removed, ${diff.unchanged.length} unchanged` +
+        (diff.notChecked.length > 0 ? `, ${diff.notChecked.length} not checked this run` : ''));
+    }
+
     // Save pages data
     await fs.writeFile(
       path.join(this.outputDir, 'pages-data.json'),
       JSON.stringify(this.pagesData, null, 2)
     );
 
-    // Save individual page files
-    for (const page of this.pagesData) {
-      const filename = this.createSafeFilename(page.url) + '.json';
-      await fs.writeFile(
-        path.join(this.outputDir, 'pages', filename),
-        JSON.stringify(page, null, 2)
-      );
-    }
+    // Individual page files are written as each page is crawled
 
     // Save images list
     await fs.writeFile(
@@ -243,13 +987,66 @@ class ObraABCSiteCrawler {
       JSON.stringify(Array.from(this.images), null, 2)
     );
 
+    // Download linked documents and save their manifest
+    const documentManifest = this.downloadDocuments
+      ? await this.downloadAllDocuments()
+      : Array.from(this.documents.values()).map(doc => ({
+        originalUrl: doc.url,
+        localPath: null,
+        linkedFrom: doc.linkedFrom
+      }));
+
+    await fs.writeFile(
+      path.join(__dirname, '../document-manifest.json'),
+      JSON.stringify({
+        generatedDate: new Date().toISOString(),
+        totalDocuments: documentManifest.length,
+        documents: documentManifest
+      }, null, 2)
+    );
+
+    // Save the internal link graph for keep/merge/drop decisions
+    const linkGraph = await this.buildLinkGraph();
+    await fs.writeFile(
+      path.join(this.outputDir, 'link-graph.json'),
+      JSON.stringify(linkGraph, null, 2)
+    );
+    await fs.writeFile(path.join(this.outputDir, 'link-graph.dot'), toDot(linkGraph));
+
     // Save crawl summary
     const summary = {
       crawlDate: new Date().toISOString(),
       baseUrl: this.baseUrl,
+      source: this.source.type,
       totalPages: this.pagesData.length,
       totalImages: this.images.size,
+      totalDocuments: this.documents.size,
+      resumed: this.resumed,
+      incremental: this.incremental,
+      reusedPages: this.reusedPages,
+      settings: {
+        ...this.settings,
+        include: this.settings.include.map(String),
+        exclude: this.settings.exclude.map(String)
+      },
       errors: this.errors,
+      errorsByType: this.groupErrorsByType(),
+      discovery: {
+        robotsRules: this.robotsRules,
+        crawlDelay: this.crawlDelay,
+        sitemaps: this.sitemaps,
+        sitemapUrls: this.sitemapUrls.size,
+        onlyInSitemap: Array.from(this.sitemapUrls).filter(url => !this.linkedUrls.has(url)),
+        blockedByRobots: Array.from(this.blockedUrls)
+      },
+      linkGraph: {
+        files: ['link-graph.json', 'link-graph.dot'],
+        totalPages: linkGraph.totalPages,
+        totalEdges: linkGraph.totalEdges,
+        pages: linkGraph.pages.map(({ url, inbound, outbound, depth }) => ({ url, inbound, outbound, depth })),
+        orphans: linkGraph.orphans,
+        deadLinks: linkGraph.deadLinks
+      },
       visitedUrls: Array.from(this.visitedUrls),
       performance: {
         averagePageSize: this.calculateAveragePageSize(),
@@ -266,9 +1063,34 @@ class ObraABCSiteCrawler {
     console.log(`✅ Results saved to: ${this.outputDir}`);
     console.log(`   📊 ${this.pagesData.length} pages crawled`);
     console.log(`   🖼️  ${this.images.size} images found`);
+    console.log(`   📑 ${this.documents.size} documents found`);
+    console.log(`   🕸️  ${linkGraph.orphans.length} orphan pages, ${linkGraph.deadLinks.length} dead internal links`);
     console.log(`   ❌ ${this.errors.length} errors encountered`);
   }
 
+  async buildLinkGraph() {
+    // Old URLs kept alive by redirects.json count as a way to reach a page
+    const redirectUrls = new Set();
+    try {
+      const redirects = JSON.parse(
+        await fs.readFile(path.join(__dirname, '../redirects.json'), 'utf-8')
+      );
+      redirects.forEach(redirect => redirectUrls.add(`${this.baseUrl}${redirect.from || '/'}`));
+    } catch {
+      // No content has been processed yet
+    }
+
+    return buildLinkGraph(this.pagesData, {
+      startUrl: this.baseUrl,
+      isInternal: url => this.isInternalLink(url),
+      isDocument: url => this.isDocumentUrl(url),
+      // Timeouts may be transient; only HTTP errors mean the URL is dead
+      errors: this.errors.filter(error => error.type === 'http'),
+      sitemapUrls: this.sitemapUrls,
+      redirectUrls
+    });
+  }
+
   createSafeFilename(url) {
     return url
       .replace(this.baseUrl, '')
@@ -278,6 +1100,14 @@ class ObraABCSiteCrawler {
       || 'homepage';
   }
 
+  groupErrorsByType() {
+    const groups = { timeout: [], http: [], navigation: [] };
+    this.errors.forEach(error => {
+      (groups[error.type] || groups.navigation).push(error);
+    });
+    return groups;
+  }
+
   calculateAveragePageSize() {
     if (this.pagesData.length === 0) return 0;
     const totalSize = this.pagesData.reduce((sum, page) => {
@@ -338,14 +1168,30 @@ class ObraABCSiteCrawler {
   async cleanup() {
     if (this.browser) {
       await this.browser.close();
+      this.browser = null;
       console.log('🔄 Browser closed');
     }
+    await this.source.close();
   }
 }
 
 // CLI execution
 async function main() {
-  const crawler = new ObraABCSiteCrawler();
+  const settings = await resolvePipelineSettings();
+  const crawler = new ObraABCSiteCrawler(settings.siteUrl, {
+    source: settings.source,
+    crawler: settings.crawler,
+    resume: !process.argv.includes('--fresh'),
+    incremental: process.argv.includes('--incremental')
+  });
+
+  // Keep progress on Ctrl-C so the next run can pick up where this one stopped
+  process.once('SIGINT', async () => {
+    console.log('\n⏸️  Interrupted, saving crawl state...');
+    await crawler.saveState();
+    await crawler.cleanup();
+    process.exit(130);
+  });
   
   try {
     await crawler.initialize();
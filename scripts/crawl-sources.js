@@ -0,0 +1,431 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import { URL } from 'url';
+
+// Response headers that no longer describe the body once it has been decoded
+const HOP_BY_HOP_HEADERS = new Set([
+  'content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'
+]);
+
+// HTTP statuses whose responses must not carry a body
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Fetches pages straight from the production site.
+ */
+class LiveSource {
+  constructor() {
+    this.type = 'live';
+    this.offline = false;
+  }
+
+  async open() {}
+
+  async fetch(url, init) {
+    return await fetch(url, init);
+  }
+
+  // The browser talks to the live site directly
+  async attach() {}
+
+  async close() {}
+}
+
+/**
+ * Serves production URLs from another origin, e.g. a local server hosting a
+ * copy of the site. Requests keep their production URL; only the fetch is
+ * redirected, so crawled data maps back to the production hostname.
+ */
+class OriginSource {
+  constructor(siteUrl, sourceUrl) {
+    this.type = 'url';
+    this.offline = true;
+    this.siteUrl = siteUrl;
+    this.sourceUrl = sourceUrl;
+  }
+
+  async open() {}
+
+  toSourceUrl(url) {
+    const target = new URL(url);
+    const source = new URL(this.sourceUrl);
+    target.protocol = source.protocol;
+    target.host = source.host;
+    return target.href;
+  }
+
+  async fetch(url, init = {}) {
+    return await fetch(this.toSourceUrl(url), { ...init, redirect: 'manual' });
+  }
+
+  async attach(context) {
+    await attachInterceptor(context, this);
+  }
+
+  async close() {}
+}
+
+/**
+ * Serves a directory of saved HTML (e.g. `wget --mirror` output) through a
+ * local HTTP server.
+ */
+class MirrorSource extends OriginSource {
+  constructor(siteUrl, rootDir) {
+    super(siteUrl, null);
+    this.type = 'mirror';
+    this.rootDir = path.resolve(rootDir);
+    this.server = null;
+  }
+
+  async open() {
+    this.server = http.createServer((req, res) => {
+      this.serveFile(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+
+    const { port } = this.server.address();
+    this.sourceUrl = `http://127.0.0.1:${port}`;
+    console.log(`📂 Serving mirror ${this.rootDir} at ${this.sourceUrl}`);
+  }
+
+  async serveFile(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const filePath = await this.resolveFile(decodeURIComponent(pathname));
+
+    if (!filePath) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const body = await fs.readFile(filePath);
+    const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(body);
+  }
+
+  async resolveFile(pathname) {
+    const relative = path.normalize(pathname).replace(/^([/\\])+/, '');
+    const basePath = path.join(this.rootDir, relative);
+
+    // Never serve files outside the mirror directory
+    if (!basePath.startsWith(this.rootDir)) return null;
+
+    const candidates = [
+      basePath,
+      path.join(basePath, 'index.html'),
+      `${basePath.replace(/[/\\]+$/, '')}.html`
+    ];
+
+    for (const candidate of candidates) {
+      try {
+        const stats = await fs.stat(candidate);
+        if (stats.isFile()) return candidate;
+      } catch {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * Replays responses recorded in a HAR or WARC archive.
+ */
+class ArchiveSource {
+  constructor(siteUrl, type, file) {
+    this.type = type;
+    this.offline = true;
+    this.siteUrl = siteUrl;
+    this.file = file;
+    this.entries = new Map();
+  }
+
+  async open() {
+    const records = this.type === 'har'
+      ? await readHarRecords(this.file)
+      : await readWarcRecords(this.file);
+
+    for (const record of records) {
+      const key = archiveKey(record.url);
+      // Prefer successful responses when the same URL was recorded twice
+      const existing = this.entries.get(key);
+      if (!existing || existing.status >= 400 || record.status < 400) {
+        this.entries.set(key, record);
+      }
+    }
+
+    console.log(`🗄️  Loaded ${this.entries.size} responses from ${this.file}`);
+  }
+
+  lookup(url) {
+    const key = archiveKey(url);
+    const alternate = key.endsWith('/') ? key.slice(0, -1) : `${key}/`;
+    return this.entries.get(key) || this.entries.get(alternate) || null;
+  }
+
+  async fetch(url) {
+    const record = this.lookup(url);
+    if (!record) {
+      return new Response('Not in archive', { status: 404, statusText: 'Not Found' });
+    }
+
+    const body = NULL_BODY_STATUSES.has(record.status) ? null : record.body;
+    return new Response(body, {
+      status: record.status,
+      statusText: record.statusText || '',
+      headers: record.headers
+    });
+  }
+
+  async attach(context) {
+    await attachInterceptor(context, this);
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Routes every browser request through the source. Internal URLs are answered
+ * from the source; anything else is aborted so offline crawls never touch the
+ * network.
+ */
+async function attachInterceptor(context, source) {
+  const siteHost = new URL(source.siteUrl).hostname;
+
+  await context.route('**/*', async route => {
+    const request = route.request();
+    let hostname;
+    try {
+      hostname = new URL(request.url()).hostname;
+    } catch {
+      await route.abort();
+      return;
+    }
+
+    if (hostname !== siteHost) {
+      await route.abort('blockedbyclient');
+      return;
+    }
+
+    try {
+      const response = await source.fetch(request.url(), {
+        method: request.method(),
+        headers: request.headers()
+      });
+      const headers = {};
+      response.headers.forEach((value, name) => {
+        if (!HOP_BY_HOP_HEADERS.has(name)) headers[name] = value;
+      });
+      await route.fulfill({
+        status: response.status,
+        headers,
+        body: Buffer.from(await response.arrayBuffer())
+      });
+    } catch {
+      await route.abort('failed');
+    }
+  });
+}
+
+function archiveKey(url) {
+  try {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    return urlObj.href;
+  } catch {
+    return url;
+  }
+}
+
+async function readHarRecords(file) {
+  const har = JSON.parse(await fs.readFile(file, 'utf-8'));
+
+  return (har.log?.entries || [])
+    .filter(entry => entry.request?.method === 'GET' && entry.response?.status > 0)
+    .map(entry => {
+      const { response } = entry;
+      const content = response.content || {};
+      const body = content.text
+        ? Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf-8')
+        : Buffer.alloc(0);
+
+      const headers = {};
+      (response.headers || []).forEach(({ name, value }) => {
+        if (!HOP_BY_HOP_HEADERS.has(name.toLowerCase())) headers[name.toLowerCase()] = value;
+      });
+      if (content.mimeType && !headers['content-type']) {
+        headers['content-type'] = content.mimeType;
+      }
+
+      return {
+        url: entry.request.url,
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body
+      };
+    });
+}
+
+async function readWarcRecords(file) {
+  let data = await fs.readFile(file);
+  if (file.endsWith('.gz')) {
+    // WARC files are gzipped per record; gunzip handles concatenated members
+    data = zlib.gunzipSync(data);
+  }
+
+  const records = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    const headerEnd = data.indexOf('\r\n\r\n', offset);
+    if (headerEnd === -1) break;
+
+    const headers = parseHeaderLines(data.subarray(offset, headerEnd).toString('utf-8'));
+    const length = parseInt(headers['content-length'] || '0', 10);
+    const blockStart = headerEnd + 4;
+    const block = data.subarray(blockStart, blockStart + length);
+    offset = blockStart + length;
+
+    // Skip the blank lines separating records
+    while (offset < data.length && (data[offset] === 0x0d || data[offset] === 0x0a)) offset++;
+
+    if (headers['warc-type'] !== 'response' || !headers['warc-target-uri']) continue;
+
+    const response = parseHttpResponse(block);
+    if (response) {
+      records.push({ url: headers['warc-target-uri'].replace(/^<|>$/g, ''), ...response });
+    }
+  }
+
+  return records;
+}
+
+function parseHttpResponse(block) {
+  const headerEnd = block.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return null;
+
+  const [statusLine, ...headerLines] = block.subarray(0, headerEnd).toString('latin1').split('\r\n');
+  const statusMatch = statusLine.match(/^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/);
+  if (!statusMatch) return null;
+
+  const rawHeaders = parseHeaderLines(headerLines.join('\r\n'));
+  let body = block.subarray(headerEnd + 4);
+
+  if ((rawHeaders['transfer-encoding'] || '').includes('chunked')) {
+    body = dechunk(body);
+  }
+  body = decodeBody(body, rawHeaders['content-encoding']);
+
+  const headers = {};
+  Object.entries(rawHeaders).forEach(([name, value]) => {
+    if (!HOP_BY_HOP_HEADERS.has(name)) headers[name] = value;
+  });
+
+  return {
+    status: parseInt(statusMatch[1], 10),
+    statusText: statusMatch[2],
+    headers,
+    body
+  };
+}
+
+function parseHeaderLines(text) {
+  const headers = {};
+  text.split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+}
+
+function dechunk(buffer) {
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) break;
+    const size = parseInt(buffer.subarray(offset, lineEnd).toString('latin1'), 16);
+    if (!size) break;
+    chunks.push(buffer.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+
+  return Buffer.concat(chunks);
+}
+
+function decodeBody(body, encoding) {
+  try {
+    switch ((encoding || '').trim().toLowerCase()) {
+      case 'gzip':
+        return zlib.gunzipSync(body);
+      case 'deflate':
+        return zlib.inflateSync(body);
+      case 'br':
+        return zlib.brotliDecompressSync(body);
+      default:
+        return body;
+    }
+  } catch {
+    return body;
+  }
+}
+
+function createCrawlSource(siteUrl, source = { type: 'live' }) {
+  switch (source.type) {
+    case 'url':
+      return new OriginSource(siteUrl, source.url);
+    case 'mirror':
+      return new MirrorSource(siteUrl, source.dir);
+    case 'har':
+    case 'warc':
+      return new ArchiveSource(siteUrl, source.type, source.file);
+    case 'live':
+    default:
+      return new LiveSource();
+  }
+}
+
+export { createCrawlSource, LiveSource, OriginSource, MirrorSource, ArchiveSource };
@@ -0,0 +1,126 @@
+// Finds crawled pages that are the same page under another URL, so only one
+// canonical copy is processed and the others become redirects to it.
+//
+// Pages whose URLs normalise to the same one are always merged. Other pages
+// are compared by their text: word shingles (runs of consecutive words) and
+// the share of shingles two pages have in common (Jaccard similarity).
+
+import { normalizeUrl } from './url-normalizer.js';
+
+const SHINGLE_SIZE = 5;
+
+function pageText(pageData) {
+  return (pageData.content?.main || '')
+    .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function shingles(text) {
+  const words = text.split(' ').filter(Boolean);
+  const result = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  // Very short pages: compare the whole text
+  if (result.size === 0 && words.length > 0) result.add(words.join(' '));
+  return result;
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+  smaller.forEach(shingle => {
+    if (larger.has(shingle)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Which of two copies to keep: the one the page itself declares canonical,
+// then the one whose crawled URL needed no normalising, then the shorter URL
+function preferredCopy(a, b) {
+  const score = entry => [
+    entry.canonical === entry.url ? 0 : 1,
+    entry.page.url === entry.url ? 0 : 1,
+    entry.url.length
+  ];
+  const [scoreA, scoreB] = [score(a), score(b)];
+  for (let i = 0; i < scoreA.length; i++) {
+    if (scoreA[i] !== scoreB[i]) return scoreA[i] < scoreB[i] ? a : b;
+  }
+  return a;
+}
+
+/**
+ * @param {Array} pagesData  Crawled pages (pages-data.json entries)
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.9]  Similarity from which pages are merged
+ * @returns {{ pages: Array, merges: Array }} Canonical pages (with normalised
+ *   URLs) and { url, canonicalUrl, reason, similarity } for every merged copy
+ */
+function findDuplicatePages(pagesData, { threshold = 0.9 } = {}) {
+  const kept = [];
+  const merges = [];
+
+  const merge = (copy, canonical, reason, score) => {
+    merges.push({
+      url: copy.page.url,
+      canonicalUrl: canonical.url,
+      reason,
+      similarity: Math.round(score * 1000) / 1000
+    });
+    // Copies merged earlier follow their canonical page
+    merges
+      .filter(entry => entry.canonicalUrl === copy.url)
+      .forEach(entry => { entry.canonicalUrl = canonical.url; });
+  };
+
+  for (const page of pagesData) {
+    const url = normalizeUrl(page.url) ?? page.url;
+    const entry = {
+      page,
+      url,
+      canonical: page.meta?.canonical ? normalizeUrl(page.meta.canonical) : null,
+      shingles: shingles(pageText(page))
+    };
+
+    let match = kept.find(other => other.url === url);
+    let reason = 'same-url';
+    let score = 1;
+
+    if (!match) {
+      for (const other of kept) {
+        const otherScore = similarity(entry.shingles, other.shingles);
+        if (otherScore >= threshold && otherScore > (match ? score : 0)) {
+          match = other;
+          score = otherScore;
+          reason = 'similar-content';
+        }
+      }
+    }
+
+    if (!match) {
+      kept.push(entry);
+      continue;
+    }
+
+    const winner = preferredCopy(match, entry);
+    if (winner === entry) {
+      kept[kept.indexOf(match)] = entry;
+      merge(match, entry, reason, score);
+    } else {
+      merge(entry, match, reason, score);
+    }
+  }
+
+  return {
+    pages: kept.map(entry => ({ ...entry.page, url: entry.url })),
+    merges
+  };
+}
+
+export { findDuplicatePages, similarity, shingles, pageText };
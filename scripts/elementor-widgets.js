@@ -0,0 +1,139 @@
+// Maps Elementor widgets (identified by data-widget_type) to structured content.
+//
+// Text-like widgets become plain Markdown. Buttons, galleries and testimonials
+// are taken out of the page body and collected so ContentProcessor can write
+// them to frontmatter and the testimonials collection, where Astro components
+// render them.
+
+class ElementorWidgetMapper {
+  constructor() {
+    this.ctas = [];
+    this.galleries = [];
+    this.testimonials = [];
+    this.unmapped = new Set();
+
+    // Widget name (without ".default" / ".skin" suffix) → handler
+    this.handlers = {
+      'heading': el => this.mapHeading(el),
+      'button': el => this.mapButton(el),
+      'theme-site-logo': () => '',
+      'site-logo': () => '',
+      'image-gallery': el => this.mapGallery(el),
+      'gallery': el => this.mapGallery(el),
+      'image-carousel': el => this.mapGallery(el),
+      'icon-list': el => this.mapIconList(el),
+      'testimonial': el => this.mapTestimonials(el),
+      'testimonial-carousel': el => this.mapTestimonials(el),
+      'reviews': el => this.mapTestimonials(el)
+    };
+
+    // Rendered by the generic converter; listed so they are not reported as unmapped
+    this.passThrough = new Set([
+      'text-editor', 'image', 'video', 'shortcode', 'html', 'icon-box', 'image-box', 'posts', 'archive-posts'
+    ]);
+  }
+
+  /**
+   * Called by MarkdownConverter for every element with data-widget_type.
+   * Returns Markdown (an empty string drops the widget), or undefined to let
+   * the converter render the widget's markup as usual.
+   */
+  map(el, converter) {
+    const widgetType = (el.getAttribute('data-widget_type') || '').split('.')[0];
+    const handler = this.handlers[widgetType];
+
+    if (handler) {
+      this.converter = converter;
+      return handler(el);
+    }
+
+    if (!this.passThrough.has(widgetType)) {
+      this.unmapped.add(widgetType);
+    }
+    return undefined;
+  }
+
+  mapHeading(el) {
+    const title = el.querySelector('.elementor-heading-title') || el;
+    const text = this.converter.renderInlineChildren(title).replace(/\s+/g, ' ').trim();
+    if (!text) return '';
+
+    // Elementor lets editors pick div/span/p for headings; those read as level 2
+    const match = title.tagName.toLowerCase().match(/^h([1-6])$/);
+    const level = match ? Number(match[1]) : 2;
+    return `${'#'.repeat(level)} ${text}`;
+  }
+
+  mapButton(el) {
+    const link = el.querySelector('a.elementor-button, a[href]');
+    const label = (el.querySelector('.elementor-button-text') || link || el).textContent.replace(/\s+/g, ' ').trim();
+    const href = link?.getAttribute('href');
+
+    // Buttons without a real target are decoration (popup triggers, anchors)
+    if (!label || !href || href.startsWith('#') || href.startsWith('javascript:')) {
+      return '';
+    }
+
+    // Elementor themes repeat the same "DOAR AQUI" button in several sections
+    if (!this.ctas.some(cta => cta.label === label && cta.link === href)) {
+      this.ctas.push({ label, link: href });
+    }
+    return '';
+  }
+
+  mapGallery(el) {
+    const images = Array.from(el.querySelectorAll('img'))
+      .map(img => {
+        const src = img.getAttribute('data-src') || img.getAttribute('src') || '';
+        const caption = img.closest('figure')?.querySelector('figcaption')?.textContent.trim();
+        return { src, alt: img.getAttribute('alt') || caption || '' };
+      })
+      .filter(image => image.src && !image.src.startsWith('data:'))
+      // Carousels clone their slides for looping
+      .filter((image, index, all) => all.findIndex(other => other.src === image.src) === index);
+
+    if (images.length > 0) {
+      this.galleries.push({ images });
+    }
+    return '';
+  }
+
+  mapIconList(el) {
+    const items = Array.from(el.querySelectorAll('.elementor-icon-list-item'))
+      .map(item => {
+        const text = (item.querySelector('.elementor-icon-list-text') || item).textContent.replace(/\s+/g, ' ').trim();
+        const href = item.querySelector('a[href]')?.getAttribute('href');
+        if (!text) return null;
+        return href && !href.startsWith('#') ? `- [${text}](${href})` : `- ${text}`;
+      })
+      .filter(Boolean);
+
+    return items.join('\n');
+  }
+
+  mapTestimonials(el) {
+    // Single testimonial widget, or one slide per testimonial in carousels
+    const slides = el.querySelectorAll('.elementor-testimonial, .swiper-slide:not(.swiper-slide-duplicate)');
+    const containers = slides.length > 0 ? Array.from(slides) : [el];
+
+    containers.forEach(container => {
+      const text = selector => container.querySelector(selector)?.textContent.replace(/\s+/g, ' ').trim() || '';
+      const quote = text('.elementor-testimonial-content, .elementor-testimonial__text, .elementor-testimonial__content');
+      const author = text('.elementor-testimonial-name, .elementor-testimonial__name, .elementor-testimonial__cite');
+      if (!quote || !author) return;
+      if (this.testimonials.some(testimonial => testimonial.quote === quote)) return;
+
+      const testimonial = { quote, author };
+      const role = text('.elementor-testimonial-job, .elementor-testimonial__title');
+      if (role) testimonial.role = role;
+      const avatar = container.querySelector('.elementor-testimonial-image img, .elementor-testimonial__image img');
+      if (avatar?.getAttribute('src')) testimonial.avatar = avatar.getAttribute('src');
+
+      this.testimonials.push(testimonial);
+    });
+
+    return '';
+  }
+}
+
+export { ElementorWidgetMapper };
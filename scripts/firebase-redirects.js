@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+// Turns the old-URL → new-slug mapping (redirects.json) into Firebase Hosting
+// redirects. redirects.json itself is left as is: visual-compare and the link
+// graph need every old URL, including the ones that do not redirect.
+//
+// Firebase matches the request path exactly and never sees URL fragments, so
+// sources are normalised first. Duplicate sources with different targets,
+// redirect chains and loops are errors: they would silently send visitors to
+// the wrong page or make Firebase bounce them around.
+//
+//   node scripts/firebase-redirects.js   # rebuild firebase.json from redirects.json
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIREBASE_CONFIG_PATH = path.join(__dirname, '../firebase.json');
+const REDIRECTS_PATH = path.join(__dirname, '../redirects.json');
+const SITE_CONFIG_PATH = path.join(__dirname, '../src/config/config.json');
+
+async function loadTrailingSlash() {
+  const siteConfig = JSON.parse(await fs.readFile(SITE_CONFIG_PATH, 'utf-8'));
+  return Boolean(siteConfig.site.trailing_slash);
+}
+
+function withTrailingSlash(pathname, trailingSlash) {
+  if (pathname === '/') return pathname;
+  const bare = pathname.replace(/\/+$/, '');
+  return trailingSlash ? `${bare}/` : bare;
+}
+
+/**
+ * @param {Array} entries  { from, to, status } with paths relative to the old site
+ * @param {Object} options
+ * @param {boolean} options.trailingSlash  config.site.trailing_slash
+ * @returns {{ redirects: Array, skipped: Array }}
+ */
+function normaliseRedirects(entries, { trailingSlash }) {
+  const skipped = [];
+
+  const normalised = entries.map(entry => {
+    const [pathname, fragment = ''] = (entry.from || '/').split('#');
+    const to = entry.to === '/index' ? '/' : withTrailingSlash(entry.to, trailingSlash);
+    return {
+      // "" and "/" are both the homepage; an empty "#" is no fragment at all
+      from: pathname || '/',
+      fragment,
+      to,
+      status: entry.status || 301
+    };
+  });
+
+  // Plain sources win over fragment ones, which only survive (without the
+  // fragment) when nothing else redirects that path
+  normalised.sort((a, b) => Number(Boolean(a.fragment)) - Number(Boolean(b.fragment)));
+
+  const redirects = [];
+  const seen = new Map();
+
+  for (const entry of normalised) {
+    const original = entry.fragment ? `${entry.from}#${entry.fragment}` : entry.from;
+
+    // e.g. "/" → "/", or "/atividades/" → "/atividades/" when trailing slashes are kept
+    if (entry.from === entry.to) {
+      skipped.push({ from: original, to: entry.to, reason: 'already served at this path' });
+      continue;
+    }
+
+    const previous = seen.get(entry.from);
+    if (previous) {
+      if (entry.fragment) {
+        skipped.push({ from: original, to: entry.to, reason: `fragment source; ${entry.from} already redirects to ${previous.to}` });
+        continue;
+      }
+      if (previous.to === entry.to) {
+        skipped.push({ from: original, to: entry.to, reason: 'duplicate' });
+        continue;
+      }
+    }
+
+    const redirect = { from: entry.from, to: entry.to, status: entry.status };
+    if (!previous) seen.set(entry.from, redirect);
+    redirects.push(redirect);
+  }
+
+  return { redirects, skipped };
+}
+
+// Sources with conflicting targets, chains (A → B → C) and loops (A → B → A)
+function findRedirectProblems(redirects) {
+  const problems = [];
+  const targets = new Map();
+
+  redirects.forEach(({ from, to }) => {
+    if (targets.has(from) && targets.get(from) !== to) {
+      problems.push(`Duplicate source ${from}: redirects to both ${targets.get(from)} and ${to}`);
+    }
+    targets.set(from, to);
+  });
+
+  // Firebase matches sources exactly, so "/a" does not hit a "/a/" redirect
+  targets.forEach((to, from) => {
+    const chain = [from, to];
+    let next = targets.get(to);
+    while (next !== undefined) {
+      if (chain.includes(next)) {
+        problems.push(`Redirect loop: ${[...chain, next].join(' → ')}`);
+        return;
+      }
+      chain.push(next);
+      next = targets.get(next);
+    }
+    if (chain.length > 2) {
+      problems.push(`Redirect chain: ${chain.join(' → ')} (point ${from} straight at ${chain[chain.length - 1]})`);
+    }
+  });
+
+  return problems;
+}
+
+function buildRedirects(entries, options) {
+  const { redirects, skipped } = normaliseRedirects(entries, options);
+  const problems = findRedirectProblems(redirects);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid redirects:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return { redirects, skipped };
+}
+
+// Replaces hosting.redirects (and trailingSlash) in the firebase.json text
+function updateFirebaseConfig(firebaseConfigText, redirects, { trailingSlash }) {
+  const config = JSON.parse(firebaseConfigText);
+  config.hosting = {
+    ...config.hosting,
+    trailingSlash,
+    redirects: redirects.map(({ from, to, status }) => ({
+      source: from,
+      destination: to,
+      type: status
+    }))
+  };
+  return JSON.stringify(config, null, 2) + '\n';
+}
+
+// CLI execution
+async function main() {
+  try {
+    const trailingSlash = await loadTrailingSlash();
+    const entries = JSON.parse(await fs.readFile(REDIRECTS_PATH, 'utf-8'));
+    const { redirects, skipped } = buildRedirects(entries, { trailingSlash });
+
+    skipped.forEach(({ from, to, reason }) => console.log(`   ⏭️  ${from} → ${to}: ${reason}`));
+
+    await fs.writeFile(
+      FIREBASE_CONFIG_PATH,
+      updateFirebaseConfig(await fs.readFile(FIREBASE_CONFIG_PATH, 'utf-8'), redirects, { trailingSlash })
+    );
+    console.log(`✅ ${redirects.length} redirects written to firebase.json`);
+  } catch (error) {
+    console.error('💥 Redirect generation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+export { buildRedirects, normaliseRedirects, findRedirectProblems, updateFirebaseConfig, loadTrailingSlash };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,109 @@
+// Turns the forms the crawler extracted (pageData.content.forms) into form
+// definitions for the forms collection, rendered by DynamicForm.astro.
+//
+// WordPress-only fields (nonces, post ids, honeypots) and buttons are dropped,
+// radio/checkbox inputs sharing a name become one field with options, and
+// Elementor field names like form_fields[email] become plain "email".
+
+const FIELD_TYPES = new Set(['text', 'email', 'tel', 'number', 'date', 'url', 'textarea', 'select', 'radio', 'checkbox']);
+
+const IGNORED_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image', 'password', 'file']);
+
+// Form handlers of the old site; submissions to them stop working after the move
+const WORDPRESS_ACTIONS = /\/wp-admin\/|\/wp-json\/|admin-ajax\.php|\/wp-comments-post\.php/;
+
+function fieldName(name) {
+  const base = name.replace(/\[\]$/, '');
+  const bracketed = base.match(/\[([^\]]+)\]$/);
+  return bracketed ? bracketed[1] : base;
+}
+
+function humanize(name) {
+  const words = name.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function fieldType(type) {
+  if (type === 'select-one' || type === 'select-multiple') return 'select';
+  return FIELD_TYPES.has(type) ? type : 'text';
+}
+
+function isSearchForm(form, fields) {
+  return form.role === 'search' || fields.every(field => field.name === 's');
+}
+
+/**
+ * @param {Object} form       One entry of pageData.content.forms
+ * @param {Object} options
+ * @param {string} options.siteUrl  Old site; actions pointing at it are dropped
+ * @returns {Object|null} Form definition, or null for search and empty forms
+ */
+function createFormDefinition(form, { siteUrl }) {
+  const inputs = (form.fields || [])
+    .filter(field => field.name && !IGNORED_TYPES.has(field.type))
+    // Spam honeypots are hidden with CSS rather than type="hidden"
+    .filter(field => !/honeypot|^hp_|ak_hp/i.test(field.name));
+
+  const fields = [];
+  inputs.forEach(input => {
+    const name = fieldName(input.name);
+    const type = fieldType(input.type);
+    const existing = fields.find(field => field.name === name);
+
+    if ((type === 'radio' || type === 'checkbox') && (existing || inputs.filter(other => fieldName(other.name) === name).length > 1)) {
+      const option = { value: input.value || input.label, label: input.label || input.value };
+      if (existing) {
+        existing.options.push(option);
+        existing.required = existing.required || input.required;
+        return;
+      }
+      fields.push({
+        name,
+        type,
+        label: input.groupLabel || humanize(name),
+        required: Boolean(input.required),
+        options: [option]
+      });
+      return;
+    }
+
+    if (existing) return;
+
+    const field = {
+      name,
+      type,
+      label: (type === 'checkbox' ? input.label : input.groupLabel || input.label) || input.placeholder || humanize(name),
+      required: Boolean(input.required)
+    };
+    if (input.placeholder && type !== 'select') field.placeholder = input.placeholder;
+    if (type === 'select') {
+      field.options = (input.options || []).filter(option => option.value);
+      if (input.type === 'select-multiple') field.multiple = true;
+    }
+    fields.push(field);
+  });
+
+  if (fields.length === 0 || isSearchForm(form, fields)) {
+    return null;
+  }
+
+  const definition = {
+    method: (form.method || 'post').toLowerCase() === 'get' ? 'get' : 'post'
+  };
+  if (form.name && form.name !== 'New Form') definition.title = form.name;
+
+  // Only third-party endpoints keep working; the rest need a new one
+  const action = form.action || '';
+  if (action && !action.startsWith(siteUrl) && !WORDPRESS_ACTIONS.test(action)) {
+    definition.action = action;
+  } else if (action) {
+    definition.originalAction = action;
+  }
+
+  if (form.submitLabel) definition.submitLabel = form.submitLabel;
+  definition.fields = fields;
+
+  return definition;
+}
+
+export { createFormDefinition, FIELD_TYPES };
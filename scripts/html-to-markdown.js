@@ -0,0 +1,298 @@
+// DOM-based HTML to Markdown conversion for crawled WordPress/Elementor pages.
+//
+// Elementor wraps every widget in several layers of section/column/container
+// divs with inline styles. Those wrappers are unwrapped, layout-only and
+// plugin markup is dropped, and only the content itself is written out.
+
+// Removed with everything inside them before conversion
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'link', 'meta', 'svg', 'canvas',
+  // Popup Builder plugin (sgpb-*) containers, floating buttons and overlays
+  '[class*="sgpb-"]', '[class*="sg-popup"]', '[id^="sgpb-"]',
+  // Elementor theme header/footer and popups are rebuilt by the Astro layout
+  '[data-elementor-type="header"]', '[data-elementor-type="footer"]', '[data-elementor-type="popup"]',
+  '.elementor-location-header', '.elementor-location-footer',
+  // Elementor layout-only widgets and decorations
+  '.elementor-menu-toggle', '.elementor-widget-spacer', '.elementor-widget-divider',
+  '.elementor-background-overlay', '.elementor-shape', '.elementor-screen-only',
+  '.elementor-widget-nav-menu', '.elementor-widget-share-buttons',
+  // Icon fonts render nothing useful as text
+  'i[class*="fa-"]', 'i[class*="eicon-"]', '.elementor-icon',
+  // Hidden markup (mobile-only duplicates, screen-reader helpers, lightboxes)
+  '[hidden]', '[aria-hidden="true"]', '[style*="display:none"]', '[style*="display: none"]',
+  // Form definitions are kept in pageData.content.forms; the fields are
+  // meaningless as text once the WordPress form handler is gone
+  'form', 'input', 'select', 'textarea', 'button'
+];
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'div', 'dl',
+  'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5',
+  'h6', 'header', 'hr', 'iframe', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+  'summary', 'table', 'ul', 'video'
+]);
+
+class MarkdownConverter {
+  constructor(options = {}) {
+    this.removeSelectors = [...REMOVE_SELECTORS, ...(options.removeSelectors || [])];
+    // Optional ElementorWidgetMapper (see elementor-widgets.js)
+    this.widgets = options.widgets || null;
+  }
+
+  /**
+   * Converts an element (usually document.body) in place to Markdown.
+   * The element is modified: unwanted markup is removed first.
+   */
+  convert(root) {
+    this.removeSelectors.forEach(selector => {
+      root.querySelectorAll(selector).forEach(el => el.remove());
+    });
+
+    return this.renderBlocks(root)
+      .join('\n\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim() + '\n';
+  }
+
+  // Renders the children of a container as a list of Markdown blocks.
+  // Runs of inline content between block elements become paragraphs.
+  renderBlocks(container) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+      const paragraph = this.cleanParagraph(inline);
+      if (paragraph) blocks.push(paragraph);
+      inline = '';
+    };
+
+    container.childNodes.forEach(node => {
+      if (node.nodeType === node.ELEMENT_NODE && BLOCK_ELEMENTS.has(this.tagName(node))) {
+        flush();
+        const block = this.renderBlock(node);
+        if (Array.isArray(block)) {
+          blocks.push(...block);
+        } else if (block) {
+          blocks.push(block);
+        }
+      } else {
+        inline += this.renderInline(node);
+      }
+    });
+    flush();
+
+    return blocks;
+  }
+
+  renderBlock(el) {
+    const tag = this.tagName(el);
+
+    if (this.widgets && el.hasAttribute('data-widget_type')) {
+      const mapped = this.widgets.map(el, this);
+      if (mapped !== undefined) return mapped;
+    }
+
+    switch (tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = this.renderInlineChildren(el).replace(/\s*\n\s*/g, ' ').trim();
+        return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+      }
+      case 'p':
+        return this.cleanParagraph(this.renderInlineChildren(el));
+      case 'ul':
+      case 'ol':
+        return this.renderList(el, tag === 'ol');
+      case 'blockquote':
+        return this.renderBlocks(el)
+          .join('\n\n')
+          .split('\n')
+          .map(line => (line ? `> ${line}` : '>'))
+          .join('\n');
+      case 'pre': {
+        const code = el.textContent.replace(/\n+$/, '');
+        return code.trim() ? `\`\`\`\n${code}\n\`\`\`` : '';
+      }
+      case 'hr':
+        return '---';
+      case 'table':
+        return this.renderTable(el);
+      case 'figcaption': {
+        const caption = this.cleanParagraph(this.renderInlineChildren(el));
+        return caption ? this.wrap(caption, '*') : '';
+      }
+      case 'iframe':
+      case 'video':
+        return this.renderEmbed(el);
+      default:
+        // Layout wrappers (div, section, Elementor containers...) are unwrapped
+        return this.renderBlocks(el);
+    }
+  }
+
+  renderList(list, ordered) {
+    const items = Array.from(list.children).filter(child => this.tagName(child) === 'li');
+    const start = ordered ? parseInt(list.getAttribute('start') || '1', 10) : 1;
+
+    return items
+      .map((item, index) => {
+        const marker = ordered ? `${start + index}.` : '-';
+        const content = this.renderBlocks(item).join('\n');
+        if (!content) return '';
+        const indent = ' '.repeat(marker.length + 1);
+        return content
+          .split('\n')
+          .map((line, lineIndex) => (lineIndex === 0 ? `${marker} ${line}` : line ? `${indent}${line}` : ''))
+          .join('\n');
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  renderTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .map(row => Array.from(row.children)
+        .filter(cell => ['td', 'th'].includes(this.tagName(cell)))
+        .map(cell => this.renderInlineChildren(cell).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()))
+      .filter(cells => cells.some(Boolean));
+
+    if (rows.length === 0) return '';
+
+    // Markdown tables need a header row; the first row is used when there is no <th>
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const pad = cells => [...cells, ...Array(columns - cells.length).fill('')];
+    const line = cells => `| ${pad(cells).join(' | ')} |`;
+
+    return [
+      line(rows[0]),
+      line(Array(columns).fill('---')),
+      ...rows.slice(1).map(line)
+    ].join('\n');
+  }
+
+  // Third-party embeds (donation forms, maps, videos) cannot be expressed in
+  // Markdown, so they are kept as minimal HTML without classes or styles
+  renderEmbed(el) {
+    const src = el.getAttribute('src') || el.querySelector('source')?.getAttribute('src');
+    if (!src) return '';
+
+    const tag = this.tagName(el);
+    const attributes = [`src="${this.escapeAttribute(src)}"`];
+    ['title', 'width', 'height'].forEach(name => {
+      const value = el.getAttribute(name);
+      if (value) attributes.push(`${name}="${this.escapeAttribute(value)}"`);
+    });
+    if (tag === 'iframe') attributes.push('loading="lazy"');
+    if (tag === 'video') attributes.push('controls');
+
+    return `<${tag} ${attributes.join(' ')}></${tag}>`;
+  }
+
+  renderInlineChildren(el) {
+    return Array.from(el.childNodes).map(node => this.renderInline(node)).join('');
+  }
+
+  renderInline(node) {
+    if (node.nodeType === node.TEXT_NODE) {
+      return this.escapeText(node.textContent.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== node.ELEMENT_NODE) return '';
+
+    const tag = this.tagName(node);
+    switch (tag) {
+      case 'br':
+        return '  \n';
+      case 'strong':
+      case 'b':
+        return this.wrap(this.renderInlineChildren(node), '**');
+      case 'em':
+      case 'i':
+      case 'cite':
+        return this.wrap(this.renderInlineChildren(node), '*');
+      case 'del':
+      case 's':
+      case 'strike':
+        return this.wrap(this.renderInlineChildren(node), '~~');
+      case 'code':
+        return node.textContent.trim() ? `\`${node.textContent.replace(/`/g, '\\`')}\`` : '';
+      case 'img':
+        return this.renderImage(node);
+      case 'a':
+        return this.renderLink(node);
+      default:
+        if (BLOCK_ELEMENTS.has(tag)) {
+          // Block markup inside inline markup (e.g. a div inside a link)
+          return ` ${this.renderInlineChildren(node)} `;
+        }
+        return this.renderInlineChildren(node);
+    }
+  }
+
+  renderImage(img) {
+    // WordPress replaces emoji with <img class="emoji" alt="😀">
+    if (img.classList.contains('emoji')) {
+      return img.getAttribute('alt') || '';
+    }
+
+    // Lazy-loading plugins keep the real URL in a data attribute
+    let src = img.getAttribute('src') || '';
+    if (!src || src.startsWith('data:')) {
+      src = img.getAttribute('data-src') || img.getAttribute('data-lazy-src') || '';
+    }
+    if (!src || src.startsWith('data:')) return '';
+
+    const alt = (img.getAttribute('alt') || '').replace(/[[\]]/g, '').trim();
+    const title = img.getAttribute('title');
+    const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+    return `![${alt}](${this.escapeUrl(src)}${titlePart})`;
+  }
+
+  renderLink(link) {
+    const text = this.renderInlineChildren(link).replace(/\s+/g, ' ').trim();
+    const href = link.getAttribute('href') || '';
+
+    // Anchors to the same page and script links only make sense with the old theme
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
+      return text;
+    }
+    if (!text) return '';
+
+    const title = link.getAttribute('title');
+    const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+    return `[${text}](${this.escapeUrl(href)}${titlePart})`;
+  }
+
+  // Moves surrounding spaces outside emphasis markers: "** a **" is not bold
+  wrap(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return content;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+  }
+
+  cleanParagraph(text) {
+    return text
+      .replace(/[ \t]*\n[ \t]*/g, match => (match.startsWith('  ') ? '  \n' : '\n'))
+      .replace(/[ \t]{2,}(?!\n)/g, ' ')
+      .trim()
+      // Text that happens to start like a heading, quote or list item
+      .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+      .replace(/^(\d+)\.(\s)/, '$1\\.$2');
+  }
+
+  escapeText(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+  }
+
+  escapeUrl(url) {
+    return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+  }
+
+  escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  }
+
+  tagName(el) {
+    return el.tagName.toLowerCase();
+  }
+}
+
+export { MarkdownConverter };
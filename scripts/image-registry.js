@@ -0,0 +1,341 @@
+// Generates src/utils/image-registry.ts, the module src/utils/images.ts reads
+// its imagesMap from, and src/utils/image-keys.ts with the ImageKey union.
+//
+// Every image under the asset directories gets a key (its filename without
+// extension) and an import, so Astro processes it at build time. Migrated
+// images also map each original URL from image-manifest.json to their key.
+// Files listed in the manifest but missing on disk are left out: a registry
+// that imports a missing file breaks the build.
+//
+// Article images are not imported: optimize-article-images.js publishes them
+// (and any other folder listed in src/config/images.json) in several widths
+// and formats under public/assets. The registry records their intrinsic size
+// and which widths, crops and formats exist, for srcset.
+//
+// imageRegistry() is an Astro integration that regenerates both files when
+// astro dev or astro build starts and whenever images change during dev.
+// image-keys.ts imports no images, so src/content/config.ts can use it to
+// validate image keys in frontmatter.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Imported statically: Astro loads the config (and this integration) in a
+// module runner that is closed before the hooks can import anything else
+import sharp from 'sharp';
+import {
+  CONFIG as ARTICLE_IMAGE_CONFIG,
+  fallbackFormat,
+  formatsFor,
+  cropRegion,
+  readFocalPoint,
+  sidecarPathFor
+} from './optimize-article-images.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ASSETS_DIR = path.join(__dirname, '../src/assets');
+// Published images are served from public/ by optimize-article-images.js
+const ASSET_DIRS = ['images', 'stock', 'icon'];
+const MANIFEST_PATH = path.join(__dirname, '../image-manifest.json');
+const REGISTRY_PATH = path.join(__dirname, '../src/utils/image-registry.ts');
+const KEYS_PATH = path.join(__dirname, '../src/utils/image-keys.ts');
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg']);
+// The extensions optimize-article-images.js resizes
+const PUBLISHED_IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+
+async function listImages(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(ASSETS_DIR, dir), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+    .map(entry => `${dir}/${entry.name}`)
+    .sort();
+}
+
+async function loadManifest(manifestPath) {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch {
+    return { images: [] };
+  }
+}
+
+// photo-001.jpg → photo001, 2021-logo.png → image2021Logo
+function variableName(key, used) {
+  const words = key.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  let name = words
+    .map((word, index) => index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('') || 'image';
+  if (/^[0-9]/.test(name)) name = `image${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+  let unique = name;
+  for (let i = 2; used.has(unique); i++) unique = `${name}${i}`;
+  used.add(unique);
+  return unique;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string[]} [options.assetDirs]   Directories under src/assets to include
+ * @param {string} [options.manifestPath]  image-manifest.json from ImageOptimizer
+ * @returns {Promise<{ images: Array<{ key, file, variable }>, urls: Object }>}
+ *   Registry entries and original URL → key
+ */
+async function collectImages({ assetDirs = ASSET_DIRS, manifestPath = MANIFEST_PATH } = {}) {
+  const files = (await Promise.all(assetDirs.map(listImages))).flat();
+
+  const images = [];
+  const byFilename = new Map();
+  const usedKeys = new Set();
+  const usedVariables = new Set();
+
+  files.forEach(file => {
+    const filename = path.basename(file);
+    let key = path.basename(filename, path.extname(filename));
+    // The same name in two directories keeps its directory in the key
+    if (usedKeys.has(key)) key = `${path.dirname(file)}/${key}`;
+    usedKeys.add(key);
+
+    const image = { key, file, variable: variableName(key, usedVariables) };
+    images.push(image);
+    if (file.startsWith('images/')) byFilename.set(filename, image);
+  });
+
+  const urls = {};
+  const manifest = await loadManifest(manifestPath);
+  (manifest.images || []).forEach(entry => {
+    const image = byFilename.get(entry.filename);
+    if (!image) return;
+    (entry.originalUrls || [entry.originalUrl]).filter(Boolean).forEach(url => {
+      urls[url] = image.key;
+    });
+  });
+
+  return { images, urls };
+}
+
+async function listPublishedImages(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = await Promise.all(entries.map(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listPublishedImages(fullPath);
+    return entry.isFile() && PUBLISHED_IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+  }));
+  return files.flat().sort();
+}
+
+/**
+ * Intrinsic size, published widths, crops and formats of every image in the
+ * folders optimize-article-images.js publishes, keyed by public path without
+ * extension (/assets/articles/<slug>/image-001)
+ */
+async function collectPublishedImages() {
+  const publishedImages = {};
+  const files = (await Promise.all(
+    ARTICLE_IMAGE_CONFIG.folders.map(folder => listPublishedImages(path.join(ASSETS_DIR, folder)))
+  )).flat();
+
+  for (const file of files) {
+    let metadata;
+    try {
+      metadata = await sharp(file).metadata();
+    } catch (error) {
+      console.log(`   ⚠️  Could not read ${path.relative(ASSETS_DIR, file)}: ${error.message}`);
+      continue;
+    }
+    // Dimensions as displayed, after EXIF rotation
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    if (!width || !height) continue;
+
+    // Resizing never enlarges, so widths at or above the original are the
+    // original again and only the full-size file is listed
+    const variantsFor = fullWidth => ARTICLE_IMAGE_CONFIG.sizes
+      .filter(size => size.width && size.width < fullWidth)
+      .map(size => ({ suffix: size.suffix, width: size.width }));
+
+    const presets = {};
+    if (ARTICLE_IMAGE_CONFIG.presets.length) {
+      const focalPoint = await readFocalPoint(sidecarPathFor(file));
+      ARTICLE_IMAGE_CONFIG.presets.forEach(preset => {
+        const crop = cropRegion(width, height, preset.aspectRatio, focalPoint);
+        presets[preset.name] = { width: crop.width, height: crop.height, variants: variantsFor(crop.width) };
+      });
+    }
+
+    const relative = path.relative(ASSETS_DIR, file).split(path.sep).join('/');
+    const key = `/assets/${relative.slice(0, -path.extname(relative).length)}`;
+    publishedImages[key] = {
+      width,
+      height,
+      formats: formatsFor(file),
+      fallback: fallbackFormat(file),
+      variants: variantsFor(width),
+      presets
+    };
+  }
+  return publishedImages;
+}
+
+function objectLiteral(lines) {
+  return lines.length ? `{\n${lines.join('\n')}\n}` : '{}';
+}
+
+const GENERATED_HEADER = `// Generated by scripts/image-registry.js. Do not edit: add images under
+// src/assets/images, src/assets/stock or src/assets/icon. astro dev and astro
+// build regenerate this file; npm run images:registry does it by hand.`;
+
+function renderKeys({ images }) {
+  const keys = images.map(image => `  ${JSON.stringify(image.key)},`);
+  return `${GENERATED_HEADER}
+
+/**
+ * Every key of imagesMap: the image filename without extension
+ */
+export const imageKeys = ${keys.length ? `[\n${keys.join('\n')}\n]` : '[]'} as const;
+
+export type ImageKey = (typeof imageKeys)[number];
+`;
+}
+
+function renderRegistry({ images, urls, publishedImages = {} }) {
+  const imports = images
+    .map(image => `import ${image.variable} from '../assets/${image.file}';`)
+    .join('\n');
+  const map = images.map(image => `  ${JSON.stringify(image.key)}: ${image.variable},`);
+  const urlMap = Object.entries(urls).map(([url, key]) => `  ${JSON.stringify(url)}: ${JSON.stringify(key)},`);
+  const publishedMap = Object.entries(publishedImages).map(([key, image]) => `  ${JSON.stringify(key)}: ${JSON.stringify(image)},`);
+
+  return `${GENERATED_HEADER}
+import type { ImageKey } from './image-keys';
+${imports}
+
+/**
+ * Every image in src/assets/images, src/assets/stock and src/assets/icon, by
+ * filename without extension
+ */
+export const imagesMap: Record<ImageKey, ImageMetadata> = ${objectLiteral(map)};
+
+/**
+ * Original WordPress URL of each migrated image → imagesMap key
+ */
+export const imageUrls: Record<string, ImageKey> = ${objectLiteral(urlMap)};
+
+export type ImageFormat = 'avif' | 'webp' | 'jpeg' | 'png';
+
+export interface PublishedImageSize {
+  width: number;
+  height: number;
+  /** Resized copies published next to the full-size file: <path><suffix>.<ext> */
+  variants: { suffix: string; width: number }[];
+}
+
+export interface PublishedImage extends PublishedImageSize {
+  /** Formats written for every size and crop, in src/config/images.json order */
+  formats: ImageFormat[];
+  /** Format for <img src>: the source's own format when it is written */
+  fallback: ImageFormat;
+  /** Crops per preset in src/config/images.json, published as <path>-<preset><suffix>.<ext> */
+  presets: Record<string, PublishedImageSize>;
+}
+
+/**
+ * Images published under public/assets by optimize-article-images.js, by
+ * path without extension
+ */
+export const publishedImages: Record<string, PublishedImage> = ${objectLiteral(publishedMap)};
+`;
+}
+
+// Unchanged files are left alone so the dev server does not reload for nothing
+async function writeIfChanged(file, content) {
+  const current = await fs.readFile(file, 'utf-8').catch(() => null);
+  if (current === content) return false;
+  await fs.writeFile(file, content);
+  return true;
+}
+
+/**
+ * Writes the registry and key modules; returns the number of images and URLs
+ * in them and whether either file changed
+ */
+async function generateImageRegistry({ assetDirs, manifestPath, outputPath = REGISTRY_PATH, keysPath = KEYS_PATH } = {}) {
+  const registry = await collectImages({ assetDirs, manifestPath });
+  const publishedImages = await collectPublishedImages();
+  const keysChanged = await writeIfChanged(keysPath, renderKeys(registry));
+  const registryChanged = await writeIfChanged(outputPath, renderRegistry({ ...registry, publishedImages }));
+  return {
+    images: registry.images.length,
+    urls: Object.keys(registry.urls).length,
+    publishedImages: Object.keys(publishedImages).length,
+    changed: keysChanged || registryChanged
+  };
+}
+
+/**
+ * Astro integration keeping the generated files in step with src/assets
+ */
+function imageRegistry() {
+  const watchedDirs = [...ASSET_DIRS, ...ARTICLE_IMAGE_CONFIG.folders].map(dir => path.join(ASSETS_DIR, dir) + path.sep);
+  const affectsRegistry = file => file === MANIFEST_PATH || watchedDirs.some(dir => file.startsWith(dir));
+
+  return {
+    name: 'image-registry',
+    hooks: {
+      'astro:config:setup': async ({ logger }) => {
+        const { images, changed } = await generateImageRegistry();
+        if (changed) logger.info(`Image registry updated: ${images} images`);
+      },
+      'astro:server:setup': ({ server, logger }) => {
+        // Several files often arrive at once (a copied folder); regenerate once
+        let timer = null;
+        const regenerate = () => {
+          clearTimeout(timer);
+          timer = setTimeout(async () => {
+            try {
+              const { images, changed } = await generateImageRegistry();
+              if (changed) logger.info(`Image registry updated: ${images} images`);
+            } catch (error) {
+              logger.error(`Image registry generation failed: ${error.message}`);
+            }
+          }, 200);
+        };
+        server.watcher.on('all', (event, file) => {
+          if (['add', 'unlink', 'change'].includes(event) && affectsRegistry(path.resolve(file))) regenerate();
+        });
+      }
+    }
+  };
+}
+
+// CLI execution
+async function main() {
+  try {
+    const { images, urls, publishedImages } = await generateImageRegistry();
+    console.log(`✅ Image registry written: ${images} images, ${urls} original URLs, ${publishedImages} published images`);
+  } catch (error) {
+    console.error('💥 Image registry generation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+export { generateImageRegistry, imageRegistry, collectImages, collectPublishedImages, renderRegistry, renderKeys };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,148 @@
+// Builds the internal link graph of a crawl: inbound/outbound counts, click
+// depth from the start page, orphan pages and links to dead URLs.
+
+// Same normalisation as the crawler, so tracking-parameter variants are one node
+import { normalizeUrl } from './url-normalizer.js';
+
+/**
+ * @param {Array} pagesData   Crawled pages (pages-data.json entries)
+ * @param {Object} options
+ * @param {string} options.startUrl       Page that click depth is measured from
+ * @param {Function} options.isInternal   Whether a URL belongs to the site
+ * @param {Array} [options.errors]        Crawl errors ({ url, status, type })
+ * @param {Set} [options.sitemapUrls]     URLs listed in the sitemap
+ * @param {Set} [options.redirectUrls]    URLs known from redirects.json
+ * @param {Function} [options.isDocument] URLs to leave out of the graph (PDFs, ...)
+ */
+function buildLinkGraph(pagesData, options) {
+  const {
+    startUrl,
+    isInternal,
+    errors = [],
+    sitemapUrls = new Set(),
+    redirectUrls = new Set(),
+    isDocument = () => false
+  } = options;
+
+  const start = normalizeUrl(startUrl);
+  const sitemap = new Set(Array.from(sitemapUrls).map(normalizeUrl));
+  const redirects = new Set(Array.from(redirectUrls).map(normalizeUrl));
+  const failed = new Map(errors.map(error => [normalizeUrl(error.url), error]));
+
+  const nodes = new Map();
+  const ensureNode = (url) => {
+    if (!nodes.has(url)) {
+      nodes.set(url, { url, title: null, crawled: false, status: null, inbound: new Set(), outbound: new Set() });
+    }
+    return nodes.get(url);
+  };
+
+  pagesData.forEach(page => {
+    const url = normalizeUrl(page.url);
+    if (!url) return;
+    const node = ensureNode(url);
+    node.title = page.title || null;
+    node.crawled = true;
+  });
+
+  const edges = [];
+  const deadLinks = [];
+
+  pagesData.forEach(page => {
+    const from = normalizeUrl(page.url);
+    if (!from) return;
+
+    (page.links || []).forEach(link => {
+      const to = normalizeUrl(link.href);
+      if (!to || to === from || !isInternal(to) || isDocument(to)) return;
+
+      const source = ensureNode(from);
+      if (source.outbound.has(to)) return;
+
+      const target = ensureNode(to);
+      source.outbound.add(to);
+      target.inbound.add(from);
+      edges.push({ from, to, text: link.text || '' });
+
+      const error = failed.get(to);
+      if (error) {
+        target.status = error.status ?? error.type;
+        deadLinks.push({ page: from, target: to, text: link.text || '', status: error.status ?? null, error: error.error });
+      }
+    });
+  });
+
+  // Breadth-first search from the start page gives the shortest click depth
+  const depths = new Map();
+  if (nodes.has(start)) {
+    depths.set(start, 0);
+    const queue = [start];
+    while (queue.length > 0) {
+      const url = queue.shift();
+      for (const next of nodes.get(url).outbound) {
+        if (!depths.has(next)) {
+          depths.set(next, depths.get(url) + 1);
+          queue.push(next);
+        }
+      }
+    }
+  }
+
+  const pages = Array.from(nodes.values()).map(node => ({
+    url: node.url,
+    title: node.title,
+    crawled: node.crawled,
+    status: node.status,
+    inbound: node.inbound.size,
+    outbound: node.outbound.size,
+    depth: depths.has(node.url) ? depths.get(node.url) : null
+  }));
+
+  // Crawled pages nothing links to (other than themselves) can only be
+  // reached through the sitemap, an old redirect, or not at all
+  const orphans = pages
+    .filter(page => page.crawled && page.inbound === 0 && page.url !== start)
+    .map(page => ({
+      url: page.url,
+      title: page.title,
+      foundVia: sitemap.has(page.url) ? 'sitemap' : redirects.has(page.url) ? 'redirect' : 'unknown'
+    }));
+
+  return {
+    startUrl: start,
+    totalPages: pages.length,
+    totalEdges: edges.length,
+    pages: pages.sort((a, b) => (a.depth ?? Infinity) - (b.depth ?? Infinity) || b.inbound - a.inbound),
+    edges,
+    orphans,
+    deadLinks
+  };
+}
+
+function toDot(graph) {
+  const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const orphanUrls = new Set(graph.orphans.map(orphan => orphan.url));
+
+  const nodeLines = graph.pages.map(page => {
+    const label = page.title ? `${page.title}\n${new URL(page.url).pathname}` : new URL(page.url).pathname;
+    const attributes = [`label=${quote(label)}`];
+    if (page.url === graph.startUrl) attributes.push('shape=doublecircle');
+    if (page.status) attributes.push('color=red', 'fontcolor=red');
+    if (orphanUrls.has(page.url)) attributes.push('style=dashed');
+    return `  ${quote(page.url)} [${attributes.join(', ')}];`;
+  });
+
+  const edgeLines = graph.edges.map(edge => `  ${quote(edge.from)} -> ${quote(edge.to)};`);
+
+  return [
+    'digraph site {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontsize=10];',
+    ...nodeLines,
+    ...edgeLines,
+    '}',
+    ''
+  ].join('\n');
+}
+
+export { buildLinkGraph, toDot };
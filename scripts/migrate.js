@@ -1,8 +1,10 @@
 #!/usr/bin/env node
 
 import { ObraABCSiteCrawler } from './crawl-site.js';
+import { WordPressRestExtractor } from './wp-rest-extractor.js';
 import { ContentProcessor } from './process-content.js';
 import { ImageOptimizer } from './optimize-images.js';
+import { loadPipelineSettings, resolvePipelineSettings } from './pipeline-settings.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -11,10 +13,62 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class MigrationOrchestrator {
-  constructor() {
+  constructor(settings = loadPipelineSettings(), options = {}) {
+    this.settings = settings;
+    this.fresh = options.fresh ?? false;
+    this.incremental = options.incremental ?? false;
+    // 'dom' renders pages with Playwright, 'wp-rest' reads the WordPress REST API
+    this.extractor = options.extractor ?? 'dom';
     this.startTime = Date.now();
   }
 
+  async crawl() {
+    if (this.extractor === 'wp-rest') {
+      const extractor = new WordPressRestExtractor(this.settings.siteUrl, {
+        source: this.settings.source,
+        userAgent: this.settings.crawler.userAgent
+      });
+      try {
+        await extractor.initialize();
+        await extractor.extract();
+        await extractor.saveResults();
+      } finally {
+        await extractor.cleanup();
+      }
+      return;
+    }
+
+    const crawler = new ObraABCSiteCrawler(this.settings.siteUrl, {
+      source: this.settings.source,
+      crawler: this.settings.crawler,
+      resume: !this.fresh,
+      incremental: this.incremental
+    });
+    try {
+      await crawler.initialize();
+      await crawler.crawlSite();
+      await crawler.saveResults();
+    } finally {
+      await crawler.cleanup();
+    }
+  }
+
+  async processContent() {
+    const processor = new ContentProcessor(undefined, {
+      siteUrl: this.settings.siteUrl,
+      siteName: this.settings.siteName,
+      source: this.settings.source,
+      userAgent: this.settings.crawler.userAgent,
+      incremental: this.incremental
+    });
+    try {
+      await processor.initialize();
+      await processor.processAllContent();
+    } finally {
+      await processor.cleanup();
+    }
+  }
+
   async runFullMigration() {
     console.log('🚀 Starting Obra ABC site migration...\n');
 
@@ -22,19 +76,13 @@ class MigrationOrchestrator {
       // Step 1: Crawl the original site
       console.log('📡 STEP 1: Crawling original site');
       console.log('=' .repeat(50));
-      const crawler = new ObraABCSiteCrawler();
-      await crawler.initialize();
-      await crawler.crawlSite();
-      await crawler.saveResults();
-      await crawler.cleanup();
+      await this.crawl();
       console.log('✅ Site crawling completed\n');
 
       // Step 2: Process content for Astro
       console.log('🔄 STEP 2: Processing content for Astro');
       console.log('=' .repeat(50));
-      const processor = new ContentProcessor();
-      await processor.initialize();
-      await processor.processAllContent();
+      await this.processContent();
       console.log('✅ Content processing completed\n');
 
       // Step 3: Optimize and download images
@@ -70,18 +118,49 @@ class MigrationOrchestrator {
       const imageManifestPath = path.join(__dirname, '../image-manifest.json');
       const imageManifest = JSON.parse(await fs.readFile(imageManifestPath, 'utf-8'));
 
+      // Written by ContentProcessor; missing when content was not processed
+      const readProcessorOutput = async (filename, fallback) => {
+        try {
+          return JSON.parse(await fs.readFile(path.join(__dirname, '../crawled-data', filename), 'utf-8'));
+        } catch {
+          return fallback;
+        }
+      };
+      const duplicates = await readProcessorOutput('duplicate-pages.json', { merges: [] });
+      const contentReview = await readProcessorOutput('content-review.json', { fields: [], articlesWithoutImage: [] });
+      const articlesWithoutImage = contentReview.articlesWithoutImage || [];
+
       const report = {
         migrationDate: new Date().toISOString(),
-        sourceUrl: 'https://obraabc.org',
+        sourceUrl: this.settings.siteUrl,
+        crawlSource: crawlSummary.source || 'live',
         summary: {
           totalPages: crawlSummary.totalPages,
           totalImages: imageManifest.totalImages,
+          totalDocuments: crawlSummary.totalDocuments || 0,
           contentTypes: crawlSummary.performance.contentTypes,
           crawlErrors: crawlSummary.errors.length,
+          incremental: crawlSummary.incremental || false,
           imageErrors: imageManifest.errors.length,
+          mergedPages: duplicates.merges.length,
+          fieldsToReview: contentReview.fields.length,
+          articlesWithoutImage: articlesWithoutImage.length,
         },
+        // Pages crawled under several URLs or with near-identical content,
+        // each redirected (301) to the canonical page it was merged into
+        mergedPages: duplicates.merges.map(({ url, canonicalUrl, canonicalSlug, reason, similarity }) => ({
+          url,
+          canonicalUrl,
+          redirectTo: `/${canonicalSlug}`,
+          reason,
+          similarity
+        })),
+        // Titles and descriptions that scored low or were replaced by a summary
+        contentReview: contentReview.fields,
+        // Articles not staged: articleSchema requires an image they lack
+        articlesWithoutImage,
         nextSteps: [
-          'Review generated content in src/content/',
+          'Review staged content with npm run staging:diff and apply it',
           'Customize Astro layouts and components',
           'Update SCSS styles to match original design',
           'Test all internal links and redirects',
@@ -98,17 +177,27 @@ class MigrationOrchestrator {
         ]
       };
 
-      await fs.writeFile(
-        path.join(__dirname, '../migration-report.json'),
-        JSON.stringify(report, null, 2)
-      );
+      // visual-compare.js adds its visualComparison section to the same file;
+      // keep sections this run does not produce
+      const reportPath = path.join(__dirname, '../migration-report.json');
+      let previousReport = {};
+      try {
+        previousReport = JSON.parse(await fs.readFile(reportPath, 'utf-8'));
+      } catch {
+        // First migration run
+      }
+      await fs.writeFile(reportPath, JSON.stringify({ ...previousReport, ...report }, null, 2));
 
       console.log('📊 MIGRATION SUMMARY');
       console.log('=' .repeat(50));
       console.log(`📄 Pages migrated: ${report.summary.totalPages}`);
       console.log(`🖼️  Images downloaded: ${report.summary.totalImages}`);
+      console.log(`📑 Documents downloaded: ${report.summary.totalDocuments}`);
       console.log(`❌ Crawl errors: ${report.summary.crawlErrors}`);
       console.log(`❌ Image errors: ${report.summary.imageErrors}`);
+      console.log(`🔗 Duplicate pages merged: ${report.summary.mergedPages}`);
+      console.log(`📝 Titles/descriptions to review: ${report.summary.fieldsToReview}`);
+      console.log(`🖼️  Articles skipped without an image: ${report.summary.articlesWithoutImage}`);
       console.log('\n📂 Content distribution:');
       Object.entries(report.summary.contentTypes).forEach(([type, count]) => {
         if (count > 0) {
@@ -125,8 +214,9 @@ class MigrationOrchestrator {
   showNextSteps() {
     console.log('🎯 NEXT STEPS');
     console.log('=' .repeat(50));
-    console.log('1. Review generated content:');
-    console.log('   cd src/content && ls -la');
+    console.log('1. Review generated content and apply it to the tree:');
+    console.log('   npm run staging:diff');
+    console.log('   npm run staging:apply -- src/content/articles   (or --all)');
     console.log('');
     console.log('2. Start Astro development server:');
     console.log('   npm run dev');
@@ -153,21 +243,22 @@ class MigrationOrchestrator {
 const command = process.argv[2];
 
 async function main() {
+  const settings = await resolvePipelineSettings();
+  const orchestrator = new MigrationOrchestrator(settings, {
+    fresh: process.argv.includes('--fresh'),
+    incremental: process.argv.includes('--incremental'),
+    extractor: process.argv.includes('--wp-api') ? 'wp-rest' : 'dom'
+  });
+
   switch (command) {
     case 'crawl':
       console.log('🕷️  Crawling site only...');
-      const crawler = new ObraABCSiteCrawler();
-      await crawler.initialize();
-      await crawler.crawlSite();
-      await crawler.saveResults();
-      await crawler.cleanup();
+      await orchestrator.crawl();
       break;
 
     case 'process':
       console.log('🔄 Processing content only...');
-      const processor = new ContentProcessor();
-      await processor.initialize();
-      await processor.processAllContent();
+      await orchestrator.processContent();
       break;
 
     case 'images':
@@ -179,7 +270,6 @@ async function main() {
 
     case 'full':
     default:
-      const orchestrator = new MigrationOrchestrator();
       await orchestrator.runFullMigration();
       break;
   }
@@ -1,31 +1,65 @@
 #!/usr/bin/env node
 
 import { fileURLToPath } from 'url';
-import { dirname, join, extname, basename } from 'path';
-import { readdir, stat, mkdir, copyFile } from 'fs/promises';
-import { existsSync } from 'fs';
+import { dirname, join, extname, basename, relative, sep } from 'path';
+import { readdir, stat, mkdir, copyFile, readFile, writeFile } from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '..');
 
-const SOURCE_DIR = join(projectRoot, 'src/assets/articles');
-const OUTPUT_DIR = join(projectRoot, 'public/assets/articles');
+// Each folder in CONFIG.folders is read from src/assets/<folder> and
+// published to public/assets/<folder>
+const SOURCE_ROOT = join(projectRoot, 'src/assets');
+const OUTPUT_ROOT = join(projectRoot, 'public/assets');
+// Blurred previews and dominant colours, read by ResponsiveImage.astro
+const PLACEHOLDERS_PATH = join(projectRoot, 'src/utils/image-placeholders.json');
+
+// Formats, widths, quality and crop presets are per project, in
+// src/config/images.json (ResponsiveImage.astro reads the same file)
+const IMAGE_SETTINGS = JSON.parse(readFileSync(join(projectRoot, 'src/config/images.json'), 'utf-8'));
+
+const EXTENSIONS = { avif: '.avif', webp: '.webp', jpeg: '.jpg', png: '.png' };
+// Sources converted to every format; anything else (GIF, SVG, ...) is copied as-is
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// "3:2" → 1.5
+function parseAspectRatio(name, ratio) {
+  const match = String(ratio).match(/^(\d+(?:\.\d+)?)[:/](\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[2]) === 0) {
+    throw new Error(`Invalid aspect ratio for preset "${name}": ${ratio} (expected e.g. "3:2")`);
+  }
+  return Number(match[1]) / Number(match[2]);
+}
 
 // Configuration
 const CONFIG = {
-  // Generate multiple sizes for responsive images
+  // Folders under src/assets to publish in every size and format
+  folders: IMAGE_SETTINGS.folders || ['articles'],
+  // Generate multiple sizes for responsive images: image-001-sm.webp, ...
   sizes: [
-    { width: 400, suffix: '-sm' },
-    { width: 800, suffix: '-md' },
-    { width: 1200, suffix: '-lg' },
+    ...Object.entries(IMAGE_SETTINGS.widths).map(([name, width]) => ({ width, suffix: `-${name}` })),
     { width: null, suffix: '' } // Original size
   ],
-  // Skip if target is newer than source
+  // "png" only applies to PNG sources, which may be transparent; "jpeg" is
+  // written for every source (transparency flattened on white)
+  formats: IMAGE_SETTINGS.formats.filter(format => {
+    if (EXTENSIONS[format]) return true;
+    console.log(`⚠️  Unknown image format "${format}" in src/config/images.json, skipped`);
+    return false;
+  }),
+  // Cropped copies per preset: image-001-card-sm.webp, ...
+  presets: Object.entries(IMAGE_SETTINGS.presets || {}).map(([name, ratio]) => ({
+    name,
+    aspectRatio: parseAspectRatio(name, ratio)
+  })),
+  // Skip if target is newer than source (and its sidecar)
   skipIfNewer: true,
   // Quality settings
-  webpQuality: 85,
-  jpegQuality: 90
+  quality: IMAGE_SETTINGS.quality,
+  // Width of the blurred preview; the browser scales it up
+  placeholderWidth: 16
 };
 
 async function ensureDir(dir) {
@@ -43,13 +77,89 @@ async function getFileModTime(filePath) {
   }
 }
 
-async function shouldSkipOptimization(sourcePath, targetPath) {
+async function shouldSkipOptimization(sourcePath, targetPath, sidecarPath = null) {
   if (!CONFIG.skipIfNewer) return false;
   
   const sourceTime = await getFileModTime(sourcePath);
   const targetTime = await getFileModTime(targetPath);
+  // Moving the focal point must redo the crops
+  const sidecarTime = sidecarPath ? await getFileModTime(sidecarPath) : null;
   
-  return targetTime && sourceTime && targetTime > sourceTime;
+  return targetTime && sourceTime && targetTime > sourceTime && (!sidecarTime || targetTime > sidecarTime);
+}
+
+// Sidecar next to the source image (image-001.json for image-001.jpg):
+//   { "focalPoint": { "x": 0.5, "y": 0.3 } }
+// x and y are fractions of the width and height; crops keep that point in
+// frame. Without a sidecar the crop is centred.
+function sidecarPathFor(inputPath) {
+  return join(dirname(inputPath), `${basename(inputPath, extname(inputPath))}.json`);
+}
+
+async function readFocalPoint(sidecarPath) {
+  let sidecar;
+  try {
+    sidecar = JSON.parse(await readFile(sidecarPath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.log(`  ⚠️  Could not read ${basename(sidecarPath)}: ${error.message}`);
+    return { x: 0.5, y: 0.5 };
+  }
+
+  const { x, y } = sidecar.focalPoint || {};
+  const valid = value => typeof value === 'number' && value >= 0 && value <= 1;
+  if (!valid(x) || !valid(y)) {
+    console.log(`  ⚠️  ${basename(sidecarPath)}: focalPoint x and y must be between 0 and 1, using the centre`);
+    return { x: 0.5, y: 0.5 };
+  }
+  return { x, y };
+}
+
+// Largest region of the given aspect ratio, as close to centred on the focal
+// point as the image edges allow
+function cropRegion(width, height, aspectRatio, focalPoint) {
+  const cropWidth = Math.min(width, Math.round(height * aspectRatio));
+  const cropHeight = Math.min(height, Math.round(cropWidth / aspectRatio));
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    left: clamp(Math.round(focalPoint.x * width - cropWidth / 2), width - cropWidth),
+    top: clamp(Math.round(focalPoint.y * height - cropHeight / 2), height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+function encode(pipeline, format) {
+  switch (format) {
+    case 'avif':
+      return pipeline.avif({ quality: CONFIG.quality.avif });
+    case 'webp':
+      return pipeline.webp({ quality: CONFIG.quality.webp });
+    case 'png':
+      return pipeline.png({ compressionLevel: 9 });
+    default:
+      return pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: CONFIG.quality.jpeg, mozjpeg: true });
+  }
+}
+
+// Formats written for a source file: "png" only for PNG sources
+function formatsFor(filename) {
+  const inputExt = extname(filename).toLowerCase();
+  return CONFIG.formats.filter(format => format !== 'png' || inputExt === '.png');
+}
+
+// Format for <img src>, for browsers that take no <source>: the source's own
+// format when it is written, so PNGs keep their transparency
+function fallbackFormat(filename) {
+  const formats = formatsFor(filename);
+  const original = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.webp': 'webp' }[extname(filename).toLowerCase()];
+  return [original, 'jpeg', ...formats].find(format => formats.includes(format));
+}
+
+// Name of the published file for <img src>: the fallback format for images
+// that are converted, the source's own name for those copied as-is
+function publishedFilename(filename) {
+  if (!SOURCE_EXTENSIONS.includes(extname(filename).toLowerCase())) return filename;
+  return `${basename(filename, extname(filename))}${EXTENSIONS[fallbackFormat(filename)]}`;
 }
 
 async function optimizeWithSharp(inputPath, outputDir, filename) {
@@ -63,60 +173,62 @@ async function optimizeWithSharp(inputPath, outputDir, filename) {
   }
 
   const nameWithoutExt = basename(filename, extname(filename));
-  const inputExt = extname(filename).toLowerCase();
+  const formats = formatsFor(filename);
+  const sidecarPath = sidecarPathFor(inputPath);
   
   console.log(`Processing: ${filename}`);
-  
-  for (const size of CONFIG.sizes) {
-    // Generate WebP version
-    const webpName = `${nameWithoutExt}${size.suffix}.webp`;
-    const webpPath = join(outputDir, webpName);
-    
-    if (!(await shouldSkipOptimization(inputPath, webpPath))) {
-      try {
-        let pipeline = sharp(inputPath);
-        
-        if (size.width) {
-          pipeline = pipeline.resize(size.width, null, {
-            withoutEnlargement: true,
-            fit: 'inside'
-          });
+
+  // Dimensions as displayed, after EXIF rotation
+  const metadata = await sharp(inputPath).metadata();
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const focalPoint = CONFIG.presets.length ? await readFocalPoint(sidecarPath) : null;
+
+  const crops = [
+    { suffix: '', region: null },
+    ...CONFIG.presets.map(preset => ({
+      suffix: `-${preset.name}`,
+      region: cropRegion(width, height, preset.aspectRatio, focalPoint)
+    }))
+  ];
+
+  for (const crop of crops) {
+    // Resizing never enlarges: widths at or above the crop's would only
+    // repeat the full-size file
+    const cropWidth = crop.region ? crop.region.width : width;
+    const sizes = CONFIG.sizes.filter(size => !size.width || size.width < cropWidth);
+
+    for (const size of sizes) {
+      for (const format of formats) {
+        const outputName = `${nameWithoutExt}${crop.suffix}${size.suffix}${EXTENSIONS[format]}`;
+        const outputPath = join(outputDir, outputName);
+
+        if (await shouldSkipOptimization(inputPath, outputPath, crop.region ? sidecarPath : null)) {
+          console.log(`  ⏭️  Skipping ${outputName} (up to date)`);
+          continue;
         }
-        
-        await pipeline.webp({ quality: CONFIG.webpQuality }).toFile(webpPath);
-        console.log(`  ✓ Generated ${webpName}`);
-      } catch (error) {
-        console.error(`  ✗ Error generating ${webpName}:`, error.message);
-      }
-    } else {
-      console.log(`  ⏭️  Skipping ${webpName} (up to date)`);
-    }
-    
-    // Generate optimized JPEG version
-    const jpegName = `${nameWithoutExt}${size.suffix}.jpg`;
-    const jpegPath = join(outputDir, jpegName);
-    
-    if (!(await shouldSkipOptimization(inputPath, jpegPath))) {
-      try {
-        let pipeline = sharp(inputPath);
-        
-        if (size.width) {
-          pipeline = pipeline.resize(size.width, null, {
-            withoutEnlargement: true,
-            fit: 'inside'
-          });
+
+        try {
+          let pipeline = sharp(inputPath).rotate();
+
+          if (crop.region) {
+            pipeline = pipeline.extract(crop.region);
+          }
+
+          if (size.width) {
+            pipeline = pipeline.resize(size.width, null, {
+              withoutEnlargement: true,
+              fit: 'inside'
+            });
+          }
+
+          await encode(pipeline, format).toFile(outputPath);
+          console.log(`  ✓ Generated ${outputName}`);
+        } catch (error) {
+          console.error(`  ✗ Error generating ${outputName}:`, error.message);
         }
-        
-        await pipeline.jpeg({ 
-          quality: CONFIG.jpegQuality,
-          mozjpeg: true 
-        }).toFile(jpegPath);
-        console.log(`  ✓ Generated ${jpegName}`);
-      } catch (error) {
-        console.error(`  ✗ Error generating ${jpegName}:`, error.message);
       }
-    } else {
-      console.log(`  ⏭️  Skipping ${jpegName} (up to date)`);
     }
   }
 }
@@ -149,8 +261,11 @@ async function processDirectory(sourceDir, outputDir) {
       const ext = extname(entry.name).toLowerCase();
       
       // Only process image files
-      if (['.jpg', '.jpeg', '.png', '.webp'].includes(ext)) {
+      if (SOURCE_EXTENSIONS.includes(ext)) {
         await optimizeWithSharp(sourcePath, outputDir, entry.name);
+      } else if (ext === '.json') {
+        // Focal point sidecars are read with their image, not published
+        continue;
       } else {
         // Copy non-image files as-is
         await ensureDir(outputDir);
@@ -161,34 +276,88 @@ async function processDirectory(sourceDir, outputDir) {
   }
 }
 
-async function generatePictureElement(imageName, alt = '', className = '') {
-  const nameWithoutExt = basename(imageName, extname(imageName));
-  
-  return `<picture${className ? ` class="${className}"` : ''}>
-  <source media="(max-width: 400px)" srcset="/assets/articles/${nameWithoutExt}-sm.webp" type="image/webp">
-  <source media="(max-width: 400px)" srcset="/assets/articles/${nameWithoutExt}-sm.jpg" type="image/jpeg">
-  <source media="(max-width: 800px)" srcset="/assets/articles/${nameWithoutExt}-md.webp" type="image/webp">
-  <source media="(max-width: 800px)" srcset="/assets/articles/${nameWithoutExt}-md.jpg" type="image/jpeg">
-  <source media="(max-width: 1200px)" srcset="/assets/articles/${nameWithoutExt}-lg.webp" type="image/webp">
-  <source media="(max-width: 1200px)" srcset="/assets/articles/${nameWithoutExt}-lg.jpg" type="image/jpeg">
-  <source srcset="/assets/articles/${nameWithoutExt}.webp" type="image/webp">
-  <img src="/assets/articles/${nameWithoutExt}.jpg" alt="${alt}" loading="lazy">
-</picture>`;
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function listSourceImages(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) return listSourceImages(fullPath);
+    return SOURCE_EXTENSIONS.includes(extname(entry.name).toLowerCase()) ? [fullPath] : [];
+  }));
+  return files.flat().sort();
+}
+
+// One tiny blurred WebP (as a data URI) and the dominant colour per source
+// image, keyed like the image registry: /assets/articles/<slug>/image-001.
+// Cheap enough to redo for every image on every run.
+async function generatePlaceholders(folders = CONFIG.folders, manifestPath = PLACEHOLDERS_PATH) {
+  let sharp;
+  try {
+    sharp = (await import('sharp')).default;
+  } catch {
+    console.log('⚠️  Sharp not available, placeholders not generated');
+    return;
+  }
+
+  const placeholders = {};
+  for (const folder of folders) {
+    const sourceDir = join(SOURCE_ROOT, folder);
+    if (!existsSync(sourceDir)) continue;
+
+    for (const file of await listSourceImages(sourceDir)) {
+      const path = relative(SOURCE_ROOT, file).split(sep).join('/');
+      try {
+        const { dominant } = await sharp(file).stats();
+        const preview = await sharp(file)
+          .rotate()
+          .resize(CONFIG.placeholderWidth, null, { fit: 'inside' })
+          .flatten({ background: toHex(dominant) })
+          .blur(1)
+          .webp({ quality: 40 })
+          .toBuffer();
+
+        placeholders[`/assets/${path.slice(0, -extname(path).length)}`] = {
+          color: toHex(dominant),
+          placeholder: `data:image/webp;base64,${preview.toString('base64')}`
+        };
+      } catch (error) {
+        console.error(`  ✗ Error generating placeholder for ${path}:`, error.message);
+      }
+    }
+  }
+
+  const content = `${JSON.stringify(placeholders, null, 2)}\n`;
+  const current = existsSync(manifestPath) ? await readFile(manifestPath, 'utf-8') : null;
+  if (content !== current) {
+    await writeFile(manifestPath, content);
+  }
+  console.log(`  ✓ ${Object.keys(placeholders).length} placeholders in ${relative(projectRoot, manifestPath)}`);
 }
 
 async function main() {
   console.log('🖼️  Optimizing article images...');
-  console.log(`Source: ${SOURCE_DIR}`);
-  console.log(`Output: ${OUTPUT_DIR}`);
   
   try {
-    await processDirectory(SOURCE_DIR, OUTPUT_DIR);
+    for (const folder of CONFIG.folders) {
+      const sourceDir = join(SOURCE_ROOT, folder);
+      if (!existsSync(sourceDir)) {
+        console.log(`⚠️  ${relative(projectRoot, sourceDir)} does not exist, skipped`);
+        continue;
+      }
+      console.log(`Source: ${sourceDir}`);
+      console.log(`Output: ${join(OUTPUT_ROOT, folder)}`);
+      await processDirectory(sourceDir, join(OUTPUT_ROOT, folder));
+    }
+    await generatePlaceholders();
     console.log('✅ Image optimization complete!');
     
     console.log('\n📖 Usage Tips:');
     console.log('1. For simple images in markdown, use: ![Alt text](/assets/articles/folder/image-name.jpg)');
-    console.log('2. For responsive images in components, use the generated WebP versions');
-    console.log('3. Consider using <picture> elements for best performance');
+    console.log('2. In components, use <ResponsiveImage src="/assets/articles/folder/image-name.jpg" sizes="..." />:');
+    console.log('   it lists every width and format in srcset and keeps the original format as fallback');
     
   } catch (error) {
     console.error('❌ Error during image optimization:', error);
@@ -199,8 +368,16 @@ async function main() {
 // Export functions for programmatic use
 export { 
   main as optimizeArticleImages, 
-  generatePictureElement,
-  processDirectory 
+  processDirectory,
+  generatePlaceholders,
+  CONFIG,
+  EXTENSIONS,
+  formatsFor,
+  fallbackFormat,
+  publishedFilename,
+  cropRegion,
+  readFocalPoint,
+  sidecarPathFor
 };
 
 // Run if called directly
@@ -1,20 +1,28 @@
-import { chromium } from 'playwright';
+import crypto from 'crypto';
 import fs from 'fs/promises';
-import { createWriteStream } from 'fs';
 import path from 'path';
 import https from 'https';
 import http from 'http';
 import { URL } from 'url';
 import { fileURLToPath } from 'url';
+import { generateImageRegistry } from './image-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class ImageOptimizer {
-  constructor(crawledDataDir = path.join(__dirname, '../src/assets/images')) {
+  // Reads the crawler's images-list.json and stores the originals under
+  // src/assets/images, where Astro optimizes them at build time
+  constructor(crawledDataDir = path.join(__dirname, '../crawled-data')) {
     this.crawledDataDir = crawledDataDir;
-    this.outputDir = path.join(__dirname, '../dist/assets/images');
-    this.downloadedImages = [];
+    this.outputDir = path.join(__dirname, '../src/assets/images');
+    this.manifestPath = path.join(__dirname, '../image-manifest.json');
+    // One entry per distinct file content (sha256), however many URLs and
+    // pages use it
+    this.assets = new Map();
+    // Image URL → content hash, from this run and the previous manifest
+    this.knownUrls = new Map();
+    this.downloadedCount = 0;
     this.errors = [];
   }
 
@@ -30,16 +38,27 @@ class ImageOptimizer {
     const imagesListPath = path.join(this.crawledDataDir, 'images-list.json');
     const images = JSON.parse(await fs.readFile(imagesListPath, 'utf-8'));
 
-    console.log(`📥 Processing ${images.length} images...`);
+    // The crawler lists every occurrence; each URL is only fetched once
+    const occurrences = new Map();
+    images.forEach(imageData => {
+      const image = typeof imageData === 'string' ? { src: imageData } : imageData;
+      if (!image.src || image.src.startsWith('data:')) return; // Skip data URLs and invalid URLs
+      if (!occurrences.has(image.src)) occurrences.set(image.src, []);
+      occurrences.get(image.src).push(image);
+    });
+
+    await this.loadPreviousManifest();
+    console.log(`📥 Processing ${occurrences.size} image URLs (${images.length} occurrences)...`);
 
     // Process images in batches to avoid overwhelming the server
+    const urls = Array.from(occurrences.keys());
     const batchSize = 5;
-    for (let i = 0; i < images.length; i += batchSize) {
-      const batch = images.slice(i, i + batchSize);
+    for (let i = 0; i < urls.length; i += batchSize) {
+      const batch = urls.slice(i, i + batchSize);
       await Promise.allSettled(
-        batch.map(imageData => this.processImage(imageData))
+        batch.map(url => this.processImage(url, occurrences.get(url)))
       );
-      
+
       // Brief delay between batches
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
@@ -48,74 +67,97 @@ class ImageOptimizer {
     await this.generateImageManifest();
 
     console.log('✅ Image optimization completed!');
-    console.log(`   ✓ ${this.downloadedImages.length} images downloaded`);
+    console.log(`   ✓ ${this.downloadedCount} images downloaded, ${this.assets.size} distinct files`);
     console.log(`   ❌ ${this.errors.length} errors encountered`);
   }
 
-  async processImage(imageData) {
+  // Files from the last run are reused without downloading them again
+  async loadPreviousManifest() {
+    let manifest;
     try {
-      const imageUrl = typeof imageData === 'string' ? imageData : imageData.src;
-      
-      if (!imageUrl || imageUrl.startsWith('data:')) {
-        return; // Skip data URLs and invalid URLs
-      }
-
-      const url = new URL(imageUrl);
-      const filename = this.createSafeFilename(url.pathname);
-      const outputPath = path.join(this.outputDir, filename);
+      manifest = JSON.parse(await fs.readFile(this.manifestPath, 'utf-8'));
+    } catch {
+      return;
+    }
 
-      // Check if image already exists
+    for (const image of manifest.images || []) {
+      if (!image.hash) continue; // Manifests from before content hashing
       try {
-        await fs.access(outputPath);
-        console.log(`   ⏭️  Skipping existing: ${filename}`);
-        return;
+        await fs.access(path.join(this.outputDir, image.filename));
       } catch {
-        // File doesn't exist, proceed with download
+        continue;
       }
+      (image.originalUrls || [image.originalUrl]).forEach(url => this.knownUrls.set(url, image));
+    }
+  }
 
-      await this.downloadImage(imageUrl, outputPath);
-      
-      this.downloadedImages.push({
-        originalUrl: imageUrl,
-        filename: filename,
-        path: outputPath,
-        alt: typeof imageData === 'object' ? imageData.alt : '',
-        width: typeof imageData === 'object' ? imageData.width : null,
-        height: typeof imageData === 'object' ? imageData.height : null
-      });
+  async processImage(imageUrl, occurrences) {
+    try {
+      const known = this.knownUrls.get(imageUrl);
+      let asset;
+
+      if (known) {
+        asset = this.registerAsset(known.hash, known.filename, imageUrl, known.size);
+        console.log(`   ⏭️  Skipping existing: ${known.filename}`);
+      } else {
+        const { body, contentType } = await this.downloadImage(imageUrl);
+        const hash = crypto.createHash('sha256').update(body).digest('hex');
+        const existing = this.assets.get(hash);
+        const filename = existing?.filename || this.createSafeFilename(new URL(imageUrl).pathname, hash, contentType);
+
+        asset = this.registerAsset(hash, filename, imageUrl, body.length);
+        if (existing) {
+          console.log(`   ♻️  Same file as ${filename}: ${imageUrl}`);
+        } else {
+          // Same name means same content, so an existing file is already right
+          const outputPath = path.join(this.outputDir, filename);
+          const exists = await fs.access(outputPath).then(() => true, () => false);
+          if (!exists) await fs.writeFile(outputPath, body);
+          this.downloadedCount++;
+          console.log(`   ✓ Downloaded: ${filename}`);
+        }
+      }
 
-      console.log(`   ✓ Downloaded: ${filename}`);
+      occurrences.forEach(({ page = null, alt = '', width = null, height = null }) => {
+        const duplicate = asset.usages.some(usage =>
+          usage.page === page && usage.alt === alt && usage.width === width && usage.height === height);
+        if (!duplicate) asset.usages.push({ page, alt, width, height });
+      });
 
     } catch (error) {
-      const imageUrl = typeof imageData === 'string' ? imageData : imageData.src;
       console.error(`   ❌ Error processing ${imageUrl}: ${error.message}`);
       this.errors.push({ url: imageUrl, error: error.message });
     }
   }
 
-  async downloadImage(url, outputPath) {
+  registerAsset(hash, filename, url, size) {
+    if (!this.assets.has(hash)) {
+      this.assets.set(hash, { hash, filename, size, originalUrls: [], usages: [] });
+    }
+    const asset = this.assets.get(hash);
+    if (!asset.originalUrls.includes(url)) asset.originalUrls.push(url);
+    this.knownUrls.set(url, asset);
+    return asset;
+  }
+
+  async downloadImage(url) {
     return new Promise((resolve, reject) => {
       const client = url.startsWith('https:') ? https : http;
-      
+
       const request = client.get(url, (response) => {
         if (response.statusCode !== 200) {
+          response.resume();
           reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
           return;
         }
 
-        const fileStream = createWriteStream(outputPath);
-        response.pipe(fileStream);
-
-        fileStream.on('finish', () => {
-          fileStream.close();
-          resolve();
-        });
-
-        fileStream.on('error', (error) => {
-          fileStream.close();
-          fs.unlink(outputPath).catch(() => {}); // Clean up partial file
-          reject(error);
-        });
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve({
+          body: Buffer.concat(chunks),
+          contentType: response.headers['content-type'] || ''
+        }));
+        response.on('error', reject);
       });
 
       request.on('error', reject);
@@ -126,12 +168,21 @@ class ImageOptimizer {
     });
   }
 
-  createSafeFilename(pathname) {
+  // Readable name plus the start of the content hash: the same bytes always
+  // get the same name, so re-runs find the file instead of adding a copy
+  createSafeFilename(pathname, hash, contentType = '') {
     let filename = path.basename(pathname);
-    
-    // If no extension, try to detect from URL
+    try {
+      filename = decodeURIComponent(filename);
+    } catch {
+      // Malformed escapes are cleaned like any other character
+    }
+
+    // If no extension, use the content type (JPG when unknown)
     if (!path.extname(filename)) {
-      filename += '.jpg'; // Default to JPG
+      const subtype = contentType.match(/^image\/([a-z0-9+.-]+)/i)?.[1]?.toLowerCase();
+      const extensions = { jpeg: '.jpg', png: '.png', gif: '.gif', webp: '.webp', avif: '.avif', 'svg+xml': '.svg' };
+      filename += extensions[subtype] || '.jpg';
     }
 
     // Clean filename
@@ -141,70 +192,36 @@ class ImageOptimizer {
       .replace(/-+/g, '-')
       .replace(/^-|-$/g, '');
 
-    // Ensure unique filename
-    const timestamp = Date.now();
     const ext = path.extname(filename);
     const basename = path.basename(filename, ext);
-    
-    return `${basename}-${timestamp}${ext}`;
+
+    return `${basename}-${hash.slice(0, 12)}${ext}`;
   }
 
   async generateImageManifest() {
+    const assets = Array.from(this.assets.values());
     const manifest = {
       generatedDate: new Date().toISOString(),
-      totalImages: this.downloadedImages.length,
+      totalImages: assets.length,
+      totalUsages: assets.reduce((sum, asset) => sum + asset.usages.length, 0),
       errors: this.errors,
-      images: this.downloadedImages.map(img => ({
-        filename: img.filename,
-        originalUrl: img.originalUrl,
-        alt: img.alt,
-        dimensions: img.width && img.height ? `${img.width}x${img.height}` : null
+      images: assets.map(asset => ({
+        filename: asset.filename,
+        hash: asset.hash,
+        size: asset.size,
+        originalUrl: asset.originalUrls[0],
+        originalUrls: asset.originalUrls,
+        // Every (page, alt, rendered size) the file appears with
+        usages: asset.usages
       }))
     };
 
-    await fs.writeFile(
-      path.join(__dirname, '../image-manifest.json'),
-      JSON.stringify(manifest, null, 2)
-    );
-
-    // Generate Astro image imports file for easy usage
-    const imageImports = this.downloadedImages
-      .map(img => {
-        const varName = img.filename
-          .replace(/[^a-zA-Z0-9]/g, '_')
-          .replace(/^_+|_+$/g, '')
-          .replace(/_+/g, '_');
-        return `import ${varName} from '../assets/images/${img.filename}';`;
-      })
-      .join('\n');
-
-    const imageExports = this.downloadedImages
-      .map(img => {
-        const varName = img.filename
-          .replace(/[^a-zA-Z0-9]/g, '_')
-          .replace(/^_+|_+$/g, '')
-          .replace(/_+/g, '_');
-        return `  '${img.originalUrl}': ${varName},`;
-      })
-      .join('\n');
-
-    const astroImageFile = `// Auto-generated image imports
-// This file maps original URLs to imported Astro assets
-${imageImports}
-
-export const imageMap = {
-${imageExports}
-};
-
-export type ImageKey = keyof typeof imageMap;
-`;
-
-    await fs.writeFile(
-      path.join(__dirname, '../src/utils/images.ts'),
-      astroImageFile
-    );
-
-    console.log('   ✓ Generated image manifest and Astro image utilities');
+    await fs.writeFile(this.manifestPath, JSON.stringify(manifest, null, 2));
+    console.log('   ✓ Generated image manifest');
+
+    // imagesMap in src/utils/images.ts comes from the registry
+    const registry = await generateImageRegistry({ manifestPath: this.manifestPath });
+    console.log(`   ✓ Image registry updated: ${registry.images} images, ${registry.urls} original URLs`);
   }
 }
 
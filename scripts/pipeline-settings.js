@@ -0,0 +1,188 @@
+// Settings shared by every step of the migration pipeline.
+//
+// Values come from, in increasing order of precedence: the defaults below,
+// migrate.config.js in the project root (or --config <file>), and CLI flags.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../migrate.config.js');
+
+const DEFAULT_SETTINGS = {
+  // Production site being migrated. Crawled URLs, slugs and redirects are
+  // always expressed against this origin, even when crawling offline.
+  siteUrl: 'https://obraabc.org',
+  // Stripped from migrated page titles ("Donativos – Obra ABC")
+  siteName: 'Obra ABC',
+
+  // Where pages are actually fetched from (see crawl-sources.js):
+  //   { type: 'live' }                      - the production site
+  //   { type: 'url', url: 'http://...' }    - a local server mirroring the site
+  //   { type: 'mirror', dir: './saved' }    - a directory of saved HTML
+  //   { type: 'har', file: './site.har' }   - a HAR archive
+  //   { type: 'warc', file: './site.warc' } - a WARC archive (optionally .gz)
+  source: { type: 'live' },
+
+  crawler: {
+    // Pages fetched in parallel per batch, and pause between batches (ms)
+    concurrency: 5,
+    delay: 1000,
+    // Extra wait after DOMContentLoaded for Elementor to render (ms)
+    pageWait: 2000,
+    // Navigation timeout per page (ms)
+    timeout: 30000,
+    userAgent: 'Mozilla/5.0 (compatible; ObraABC-Crawler/1.0; Site Migration Bot)',
+    viewport: { width: 1920, height: 1080 },
+    // Tried in order; the first match is stored as the page's main content
+    contentSelectors: ['main', '.main-content', '#content', '.content', 'body'],
+    // URL patterns in robots.txt syntax ("*" wildcard, "$" end anchor),
+    // matched against path + query. Strings or RegExp objects.
+    include: [],
+    exclude: [],
+    // Clicks from the start page (sitemap URLs count as one click); null = unlimited
+    maxDepth: null,
+    maxPages: null
+  },
+
+  visualCompare: {
+    // Share of differing pixels (0-1) above which a page is flagged
+    threshold: 0.1
+  }
+};
+
+function loadPipelineSettings(...layers) {
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    source: { ...DEFAULT_SETTINGS.source },
+    crawler: { ...DEFAULT_SETTINGS.crawler },
+    visualCompare: { ...DEFAULT_SETTINGS.visualCompare }
+  };
+
+  for (const layer of layers) {
+    if (!layer) continue;
+    const { source, crawler, visualCompare, ...rest } = layer;
+    Object.assign(settings, rest);
+    // A new source replaces the old one entirely (their fields differ per type)
+    if (source) settings.source = { ...source };
+    if (crawler) Object.assign(settings.crawler, crawler);
+    if (visualCompare) Object.assign(settings.visualCompare, visualCompare);
+  }
+
+  // NaN compares false against every score, so every page would pass
+  const { threshold } = settings.visualCompare;
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`visualCompare.threshold must be a number from 0 to 1, got ${JSON.stringify(threshold)}`);
+  }
+
+  // Normalise to an origin without trailing slash so string prefixes match
+  settings.siteUrl = settings.siteUrl.replace(/\/+$/, '');
+  return settings;
+}
+
+async function loadConfigFile(configPath = DEFAULT_CONFIG_PATH) {
+  const resolved = path.resolve(configPath);
+
+  // The default config is optional; an explicit --config file must exist
+  if (resolved === DEFAULT_CONFIG_PATH) {
+    try {
+      await fs.access(resolved);
+    } catch {
+      return {};
+    }
+  }
+
+  const module = await import(pathToFileURL(resolved).href);
+  console.log(`⚙️  Loaded settings from ${path.relative(process.cwd(), resolved)}`);
+  return module.default || {};
+}
+
+// Reads pipeline overrides from CLI flags, e.g.
+//   --site-url https://obraabc.org --mirror ./saved-site
+//   --concurrency 3 --delay 2000 --content-selector ".elementor"
+function parseSettingsArgs(argv = process.argv.slice(2)) {
+  const readFlag = (name) => {
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+  const readAll = (name) => argv
+    .map((arg, index) => (arg === `--${name}` ? argv[index + 1] : undefined))
+    .filter(value => value !== undefined);
+  const readNumber = (name) => {
+    const value = readFlag(name);
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      throw new Error(`--${name} expects a number, got "${value}"`);
+    }
+    return number;
+  };
+
+  const overrides = {};
+  const siteUrl = readFlag('site-url');
+  if (siteUrl) overrides.siteUrl = siteUrl;
+
+  if (readFlag('mirror')) {
+    overrides.source = { type: 'mirror', dir: readFlag('mirror') };
+  } else if (readFlag('har')) {
+    overrides.source = { type: 'har', file: readFlag('har') };
+  } else if (readFlag('warc')) {
+    overrides.source = { type: 'warc', file: readFlag('warc') };
+  } else if (readFlag('source-url')) {
+    overrides.source = { type: 'url', url: readFlag('source-url') };
+  }
+
+  const crawler = {
+    concurrency: readNumber('concurrency'),
+    delay: readNumber('delay'),
+    pageWait: readNumber('page-wait'),
+    timeout: readNumber('timeout'),
+    userAgent: readFlag('user-agent'),
+    maxDepth: readNumber('max-depth'),
+    maxPages: readNumber('max-pages')
+  };
+
+  const viewport = readFlag('viewport');
+  if (viewport) {
+    const match = viewport.match(/^(\d+)x(\d+)$/);
+    if (!match) {
+      throw new Error(`--viewport expects WIDTHxHEIGHT, got "${viewport}"`);
+    }
+    crawler.viewport = { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+  }
+
+  const contentSelectors = readAll('content-selector');
+  if (contentSelectors.length > 0) crawler.contentSelectors = [...contentSelectors, 'body'];
+  const include = readAll('include');
+  if (include.length > 0) crawler.include = include;
+  const exclude = readAll('exclude');
+  if (exclude.length > 0) crawler.exclude = exclude;
+
+  const definedCrawler = Object.fromEntries(
+    Object.entries(crawler).filter(([, value]) => value !== undefined)
+  );
+  if (Object.keys(definedCrawler).length > 0) overrides.crawler = definedCrawler;
+
+  const threshold = readNumber('threshold');
+  if (threshold !== undefined) overrides.visualCompare = { threshold };
+
+  return overrides;
+}
+
+// Defaults, then the config file, then CLI flags
+async function resolvePipelineSettings(argv = process.argv.slice(2)) {
+  const configIndex = argv.indexOf('--config');
+  const config = await loadConfigFile(configIndex !== -1 ? argv[configIndex + 1] : undefined);
+  return loadPipelineSettings(config, parseSettingsArgs(argv));
+}
+
+export {
+  DEFAULT_SETTINGS,
+  loadPipelineSettings,
+  loadConfigFile,
+  parseSettingsArgs,
+  resolvePipelineSettings
+};
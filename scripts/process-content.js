@@ -2,23 +2,75 @@ import fs from 'fs/promises';
 import path from 'path';
 import { JSDOM } from 'jsdom';
 import { fileURLToPath } from 'url';
+import { DEFAULT_SETTINGS, resolvePipelineSettings } from './pipeline-settings.js';
+import { createCrawlSource } from './crawl-sources.js';
+import { publishedFilename } from './optimize-article-images.js';
+import { MarkdownConverter } from './html-to-markdown.js';
+import { ElementorWidgetMapper } from './elementor-widgets.js';
+import { ContentStaging } from './content-staging.js';
+import { createFormDefinition } from './form-definitions.js';
+import { findDuplicatePages } from './duplicate-pages.js';
+import { normalizeUrl } from './url-normalizer.js';
+import {
+  REVIEW_THRESHOLD,
+  cleanTitle,
+  decodeEntities,
+  markDuplicates,
+  scoreDescription,
+  scoreTitle,
+  summarize,
+  truncate
+} from './content-quality.js';
+import { buildRedirects, loadTrailingSlash, updateFirebaseConfig } from './firebase-redirects.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class ContentProcessor {
-  constructor(crawledDataDir = path.join(__dirname, '../crawled-data')) {
+  constructor(crawledDataDir = path.join(__dirname, '../crawled-data'), options = {}) {
     this.crawledDataDir = crawledDataDir;
+    this.siteUrl = options.siteUrl ?? DEFAULT_SETTINGS.siteUrl;
+    this.siteName = options.siteName ?? DEFAULT_SETTINGS.siteName;
+    // Article images are fetched like the crawl: from the live site, a
+    // mirror or an archive (see crawl-sources.js)
+    this.source = createCrawlSource(this.siteUrl, options.source);
+    this.userAgent = options.userAgent ?? DEFAULT_SETTINGS.crawler.userAgent;
+    this.incremental = options.incremental ?? false;
     this.outputDir = path.join(__dirname, '../src/content');
+    this.publicDir = path.join(__dirname, '../public');
+    // Every generated file goes to the staging area; `content-staging.js apply`
+    // copies the chosen ones to their place under src/, public/, ...
+    this.staging = new ContentStaging(options.stagingDir);
     this.processedPages = [];
+    this.documentLinks = new Map();
+    this.testimonialsDir = path.join(this.outputDir, 'testimonials');
+    this.formsDir = path.join(this.outputDir, 'forms');
+    // Form definition JSON → id, so forms repeated on every page are written once
+    this.formDefinitions = new Map();
+    // Article images: originals here, optimize-article-images.js publishes them
+    this.articleAssetsDir = path.join(__dirname, '../src/assets/articles');
+    this.articleAssetsPublicPath = '/assets/articles';
+    this.unmappedWidgets = new Set();
+    // Pages at least this similar to another one are merged into it
+    this.duplicateThreshold = options.duplicateThreshold ?? 0.9;
+    this.mergedPages = [];
+    // Normalised URL of a merged copy → URL of the page it was merged into
+    this.canonicalUrls = new Map();
+    // Titles and descriptions scoring below REVIEW_THRESHOLD
+    this.contentReview = [];
+    // Articles left out because articleSchema requires an image they lack
+    this.articlesWithoutImage = [];
   }
 
   async initialize() {
-    // Create Astro content directories
-    await fs.mkdir(path.join(this.outputDir, 'pages'), { recursive: true });
-    await fs.mkdir(path.join(this.outputDir, 'articles'), { recursive: true });
-    await fs.mkdir(path.join(__dirname, '../src/assets/images'), { recursive: true });
-    console.log('📁 Content directories created');
+    // Start from an empty staging area so it only holds this run's output
+    await this.staging.clear();
+    console.log(`📁 Staging generated content in ${path.relative(process.cwd(), this.staging.stagingDir)}`);
+    await this.source.open();
+  }
+
+  async cleanup() {
+    await this.source.close();
   }
 
   async processAllContent() {
@@ -29,17 +81,30 @@ class ContentProcessor {
     const allPagesData = JSON.parse(await fs.readFile(pagesDataPath, 'utf-8'));
 
     // Filter out asset files that should not be treated as content pages
-    const pagesData = allPagesData.filter(pageData => {
+    const contentPages = allPagesData.filter(pageData => {
       return this.isValidContentPage(pageData);
     });
 
-    console.log(`📚 Filtering: ${allPagesData.length} total → ${pagesData.length} content pages`);
-    console.log(`🗂️  Excluded ${allPagesData.length - pagesData.length} asset files`);
+    console.log(`📚 Filtering: ${allPagesData.length} total → ${contentPages.length} content pages`);
+    console.log(`🗂️  Excluded ${allPagesData.length - contentPages.length} asset files`);
+
+    const pagesData = await this.mergeDuplicatePages(contentPages);
+
+    const affectedUrls = this.incremental ? await this.loadAffectedUrls() : null;
+    await this.loadDocumentManifest();
 
     for (const pageData of pagesData) {
+      if (affectedUrls && !affectedUrls.has(pageData.url)) {
+        // Unchanged since the last crawl: keep the existing markdown file
+        this.registerPage(pageData);
+        continue;
+      }
       await this.processPage(pageData);
     }
 
+    await this.reviewContentQuality();
+    await this.rewriteMenuLinks();
+
     // Generate content configuration
     await this.generateContentConfig();
 
@@ -47,25 +112,217 @@ class ContentProcessor {
     await this.generateRedirectsMapping();
 
     console.log('✅ Content processing completed!');
-    console.log(`   📄 ${this.processedPages.length} pages processed`);
+    await this.staging.printStatus();
+    console.log('   Review with `npm run staging:diff`, then `npm run staging:apply -- <files>` (or --all)');
+    const unchanged = this.processedPages.filter(page => page.unchanged).length;
+    console.log(`   📄 ${this.processedPages.length - unchanged} pages processed`);
+    if (unchanged > 0) {
+      console.log(`   ⏭️  ${unchanged} unchanged pages kept as they are`);
+    }
+    if (this.contentReview.length > 0) {
+      console.log(`   📝 ${this.contentReview.length} titles/descriptions need review (see crawled-data/content-review.json)`);
+    }
+    if (this.articlesWithoutImage.length > 0) {
+      console.log(`   🖼️  ${this.articlesWithoutImage.length} articles skipped for lack of an image (see crawled-data/content-review.json)`);
+    }
+    if (this.mergedPages.length > 0) {
+      console.log(`   🔗 ${this.mergedPages.length} duplicate pages merged (see crawled-data/duplicate-pages.json)`);
+    }
+    if (this.unmappedWidgets.size > 0) {
+      console.log(`   🧩 Elementor widgets converted as plain markup: ${Array.from(this.unmappedWidgets).join(', ')}`);
+    }
+  }
+
+  // Keeps one canonical copy of pages crawled under several URLs or with
+  // (nearly) the same content; the others are redirected to it
+  async mergeDuplicatePages(pagesData) {
+    const { pages, merges } = findDuplicatePages(pagesData, { threshold: this.duplicateThreshold });
+
+    this.mergedPages = merges.map(merge => ({
+      ...merge,
+      canonicalSlug: this.createSlug(merge.canonicalUrl)
+    }));
+    this.mergedPages.forEach(merge => {
+      this.canonicalUrls.set(normalizeUrl(merge.url), merge.canonicalUrl);
+      const similarity = merge.reason === 'similar-content' ? `, ${Math.round(merge.similarity * 100)}% similar` : '';
+      console.log(`   🔗 Merged ${merge.url} into ${merge.canonicalUrl} (${merge.reason}${similarity})`);
+    });
+
+    // Read by migrate.js for the migration report
+    await fs.writeFile(
+      path.join(this.crawledDataDir, 'duplicate-pages.json'),
+      JSON.stringify({ threshold: this.duplicateThreshold, merges: this.mergedPages }, null, 2)
+    );
+
+    return pages;
+  }
+
+  async loadAffectedUrls() {
+    const diffPath = path.join(this.crawledDataDir, 'crawl-diff.json');
+    let diff;
+    try {
+      diff = JSON.parse(await fs.readFile(diffPath, 'utf-8'));
+    } catch {
+      console.log('⚠️  No crawl-diff.json found, processing every page');
+      return null;
+    }
+
+    const affected = new Set([...diff.added, ...diff.changed].map(entry => normalizeUrl(entry.url) ?? entry.url));
+    console.log(`🔁 Incremental: ${diff.added.length} new, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+
+    // Removed pages may have been edited by hand, so flag them instead of deleting
+    diff.removed.forEach(({ url }) => {
+      const slug = this.createSlug(url);
+      console.log(`   🗑️  Removed from source site, review manually: ${slug}.md (${url})`);
+    });
+
+    return affected;
+  }
+
+  async loadDocumentManifest() {
+    let manifest;
+    try {
+      manifest = JSON.parse(
+        await fs.readFile(path.join(__dirname, '../document-manifest.json'), 'utf-8')
+      );
+    } catch {
+      return; // No documents were collected during the crawl
+    }
+
+    for (const doc of manifest.documents.filter(doc => doc.localPath && !doc.error)) {
+      // The crawler downloads into crawled-data/documents/; staging them under
+      // public/ publishes them together with the pages that link to them
+      const relativePath = doc.localPath.replace(/^\/documents\//, '');
+      try {
+        const body = await fs.readFile(path.join(this.crawledDataDir, 'documents', relativePath));
+        await this.staging.write(path.join(this.publicDir, doc.localPath), body);
+        this.documentLinks.set(doc.originalUrl, doc.localPath);
+      } catch {
+        console.log(`   ⚠️  ${doc.originalUrl} is in document-manifest.json but was not downloaded, keeping its link`);
+      }
+    }
+    console.log(`📑 ${this.documentLinks.size} downloaded documents will be linked locally`);
+  }
+
+  // Local copy of a linked document, if the crawler downloaded it
+  localDocumentPath(href) {
+    return href ? this.documentLinks.get(href.split('#')[0]) : undefined;
+  }
+
+  // Footer links to reports and statutes point at the local copies too
+  async rewriteMenuLinks() {
+    const menuPath = path.join(__dirname, '../src/config/menu.json');
+    const menu = JSON.parse(await fs.readFile(menuPath, 'utf-8'));
+
+    let rewritten = 0;
+    Object.values(menu).flat().forEach(item => {
+      const documentPath = this.localDocumentPath(item.url);
+      if (documentPath) {
+        item.url = documentPath;
+        rewritten++;
+      }
+    });
+
+    if (rewritten > 0) {
+      await this.staging.write(menuPath, JSON.stringify(menu, null, 4));
+      console.log(`   ✓ Pointed ${rewritten} menu links at local documents`);
+    }
+  }
+
+  // Dates from, in order of preference: article:published_time/modified_time
+  // meta, JSON-LD datePublished/dateModified, and a /YYYY/MM/DD/ permalink
+  extractDates(pageData) {
+    const toDate = (value) => {
+      if (!value) return null;
+      // ISO dates keep the calendar day they were written with: converting
+      // 2021-06-25T00:30:00+01:00 to UTC would give the 24th, and the slug
+      // taken from the permalink says the 25th
+      const isoDate = String(value).match(/^(\d{4}-\d{2}-\d{2})(?:$|[T\s])/);
+      if (isoDate) return isoDate[1];
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+    };
+    const permalink = this.parseDatedPermalink(pageData.url);
+
+    const published = toDate(pageData.meta?.publishedTime)
+      || toDate(pageData.structuredData?.datePublished)
+      || permalink?.date
+      || null;
+    const modified = toDate(pageData.meta?.modifiedTime)
+      || toDate(pageData.structuredData?.dateModified)
+      || null;
+
+    return { published, modified };
+  }
+
+  // WordPress post permalinks: /2021/06/25/arraial-de-sao-joao/
+  parseDatedPermalink(url) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch {
+      return null;
+    }
+
+    const match = pathname.match(/^\/(\d{4})\/(\d{2})\/(\d{2})\/([^/]+)\/?$/);
+    if (!match) return null;
+
+    const [, year, month, day, postSlug] = match;
+    return { date: `${year}-${month}-${day}`, postSlug };
+  }
+
+  registerPage(pageData) {
+    const slug = this.createSlug(pageData.url);
+    const contentType = this.determineContentType(pageData);
+    const outputDir = contentType === 'article' ? 'articles' : 'pages';
+
+    this.processedPages.push({
+      slug,
+      type: contentType,
+      originalUrl: pageData.url,
+      title: this.cleanTitle(pageData.title),
+      outputPath: path.join(this.outputDir, outputDir, `${slug}.md`),
+      unchanged: true
+    });
   }
 
   async processPage(pageData) {
     try {
       const slug = this.createSlug(pageData.url);
       const contentType = this.determineContentType(pageData);
-      const processedContent = await this.extractAndCleanContent(pageData);
+      const { markdown: processedContent, widgets, image } = await this.extractAndCleanContent(pageData);
+
+      // articleSchema requires an image: staged without one, the article would
+      // break `astro build` once applied
+      if (contentType === 'article' && !image) {
+        this.articlesWithoutImage.push({
+          slug,
+          url: pageData.url,
+          file: path.relative(path.join(__dirname, '..'), path.join(this.outputDir, 'articles', `${slug}.md`))
+        });
+        console.log(`   ⚠️  Skipped article ${slug}: no usable image; add one under src/assets/articles/${slug}/ and write the article by hand`);
+        return;
+      }
+      const dates = this.extractDates(pageData);
+
+      const title = this.chooseTitle(pageData);
+      const description = this.chooseDescription(pageData, processedContent);
 
       const frontmatter = {
-        title: this.cleanTitle(pageData.title),
-        description: this.cleanDescription(pageData.meta.description) || this.generateDescriptionFromContent(processedContent),
-        publishDate: new Date().toISOString().split('T')[0],
+        title: title.value,
+        description: description.value,
+        publishDate: dates.published || new Date().toISOString().split('T')[0],
+        ...(dates.modified && dates.modified !== dates.published ? { updatedDate: dates.modified } : {}),
         category: contentType,
         originalUrl: pageData.url,
         slug: slug,
+        ...(image ? { image: image.src, imageDescription: image.alt } : {}),
+        ...await this.createWidgetFrontmatter(slug, pageData, widgets),
+        ...await this.createFormFrontmatter(slug, pageData),
         seo: {
-          title: pageData.meta.ogTitle || pageData.title,
-          description: this.cleanDescription(pageData.meta.ogDescription || pageData.meta.description),
+          // Same site-name cleanup as the title; layouts add the site name back
+          title: this.cleanTitle(pageData.meta.ogTitle || pageData.title) || title.value,
+          description: this.chooseSeoDescription(pageData, description),
           canonical: pageData.meta.canonical
         }
       };
@@ -78,14 +335,18 @@ class ContentProcessor {
       const filename = `${slug}.md`;
       const outputPath = path.join(this.outputDir, outputDir, filename);
 
-      await fs.writeFile(outputPath, markdownContent);
+      await this.staging.write(outputPath, markdownContent);
 
       this.processedPages.push({
         slug,
         type: contentType,
         originalUrl: pageData.url,
         title: frontmatter.title,
-        outputPath
+        outputPath,
+        // Kept for reviewContentQuality, which may rewrite the description
+        frontmatter,
+        markdown: processedContent,
+        quality: { title, description }
       });
 
       console.log(`   ✓ Processed: ${frontmatter.title} (${contentType})`);
@@ -95,14 +356,20 @@ class ContentProcessor {
     }
   }
 
-  createSlug(url) {
-    const baseUrl = 'https://obraabc.org';
-    let slug = url.replace(baseUrl, '').replace(/^\/+|\/+$/g, '');
+  createSlug(pageUrl) {
+    const url = normalizeUrl(pageUrl) ?? pageUrl;
+    // Dated posts follow the YYYY-MM-DD-slug naming of src/content/articles
+    const permalink = this.parseDatedPermalink(url);
+    let slug = permalink
+      ? `${permalink.date}-${decodeURIComponent(permalink.postSlug)}`
+      : url.replace(this.siteUrl, '').replace(/^\/+|\/+$/g, '');
     
     if (!slug) return 'index';
     
     return slug
       .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
       .replace(/[^a-z0-9-]/g, '-')
       .replace(/-+/g, '-')
       .replace(/^-|-$/g, '');
@@ -181,6 +448,11 @@ class ContentProcessor {
     const url = pageData.url.toLowerCase();
     const title = (pageData.title || '').toLowerCase();
 
+    // WordPress posts use dated permalinks
+    if (this.parseDatedPermalink(pageData.url)) {
+      return 'article';
+    }
+
     // Article/blog patterns
     if (url.includes('/blog/') || url.includes('/news/') || url.includes('/artigo/') || 
         url.includes('/post/') || title.includes('artigo')) {
@@ -226,8 +498,15 @@ class ContentProcessor {
       elements.forEach(el => el.remove());
     });
 
+    // Articles get their own numbered copies of every image; other pages
+    // keep pointing at the shared image folder
+    const slug = this.createSlug(pageData.url);
+    const image = this.determineContentType(pageData) === 'article'
+      ? await this.localiseArticleImages(document, pageData, slug)
+      : null;
+
     // Process images
-    const images = document.querySelectorAll('img');
+    const images = document.querySelectorAll('img:not([data-localised])');
     images.forEach(img => {
       const src = img.getAttribute('src');
       if (src) {
@@ -246,72 +525,330 @@ class ContentProcessor {
     const links = document.querySelectorAll('a[href]');
     links.forEach(link => {
       const href = link.getAttribute('href');
-      if (href && href.includes('obraabc.org')) {
-        const slug = this.createSlug(href);
+      const documentPath = this.localDocumentPath(href);
+      if (documentPath) {
+        // Point at the local copy instead of the WordPress upload
+        link.setAttribute('href', documentPath);
+      } else if (href && href.includes(new URL(this.siteUrl).hostname) && !href.includes('/wp-content/uploads/')) {
+        // Uploads without a local copy keep their WordPress URL; as a slug
+        // they would point at a page that does not exist.
+        // Links to a merged copy go straight to the page it was merged into
+        const slug = this.createSlug(this.canonicalUrls.get(normalizeUrl(href)) ?? href);
         link.setAttribute('href', `/${slug}`);
       }
     });
 
-    // Convert HTML to markdown-friendly format
-    let content = document.body.innerHTML;
-    
-    // Basic HTML to Markdown conversion
-    content = content
-      .replace(/<h1[^>]*>(.*?)<\/h1>/gi, '# $1\n\n')
-      .replace(/<h2[^>]*>(.*?)<\/h2>/gi, '## $1\n\n')
-      .replace(/<h3[^>]*>(.*?)<\/h3>/gi, '### $1\n\n')
-      .replace(/<h4[^>]*>(.*?)<\/h4>/gi, '#### $1\n\n')
-      .replace(/<h5[^>]*>(.*?)<\/h5>/gi, '##### $1\n\n')
-      .replace(/<h6[^>]*>(.*?)<\/h6>/gi, '###### $1\n\n')
-      .replace(/<p[^>]*>(.*?)<\/p>/gi, '$1\n\n')
-      .replace(/<strong[^>]*>(.*?)<\/strong>/gi, '**$1**')
-      .replace(/<em[^>]*>(.*?)<\/em>/gi, '*$1*')
-      .replace(/<br\s*\/?>/gi, '\n')
-      .replace(/\n\s*\n\s*\n/g, '\n\n'); // Clean up multiple line breaks
-
-    return content.trim();
+    // Unwrap Elementor containers and convert what is left to Markdown;
+    // buttons, galleries and testimonials are collected by the widget mapper
+    const widgets = new ElementorWidgetMapper();
+    const markdown = new MarkdownConverter({ widgets }).convert(document.body).trim();
+    widgets.unmapped.forEach(type => this.unmappedWidgets.add(type));
+
+    return { markdown, widgets, image };
+  }
+
+  // Downloads an article's images to src/assets/articles/<slug>/image-00N.ext
+  // in order of appearance and points the <img> tags at the optimised copies.
+  // Returns the featured (or else first) image for the frontmatter.
+  async localiseArticleImages(document, pageData, slug) {
+    const articleDir = path.join(this.articleAssetsDir, slug);
+    const localised = new Map();
+    let count = 0;
+
+    const localise = async (url, alt) => {
+      const key = this.imageVariantKey(url);
+      if (!localised.has(key)) {
+        const number = String(count + 1).padStart(3, '0');
+        const ext = path.extname(new URL(url).pathname).toLowerCase() || '.jpg';
+        const filename = `image-${number}${ext}`;
+        const downloaded = await this.downloadImage(url, path.join(articleDir, filename));
+        if (downloaded) count++;
+
+        // The name optimize-article-images.js publishes it under (.jpg for
+        // JPEGs, .png for PNGs, GIFs as they are); images that failed to
+        // download keep their original URL
+        localised.set(key, {
+          src: downloaded ? `${this.articleAssetsPublicPath}/${slug}/${publishedFilename(filename)}` : url,
+          alt: alt || this.generateAltTextFromFilename(path.basename(new URL(url).pathname))
+        });
+      }
+      return localised.get(key);
+    };
+
+    for (const img of document.querySelectorAll('img')) {
+      if (img.classList.contains('emoji')) continue;
+
+      let url = this.pickImageSource(img, pageData.url);
+      if (!url || /\.svg$/i.test(new URL(url).pathname)) continue;
+
+      // WordPress links images to their full-size upload; prefer that original
+      const link = img.closest('a[href]');
+      const linkUrl = link && URL.canParse(link.getAttribute('href'), pageData.url)
+        ? new URL(link.getAttribute('href'), pageData.url).href
+        : null;
+      const linksToImage = linkUrl && /\.(jpe?g|png|gif|webp|avif)$/i.test(new URL(linkUrl).pathname);
+      if (linksToImage && this.imageVariantKey(linkUrl) === this.imageVariantKey(url)) {
+        url = linkUrl;
+      }
+
+      const { src, alt } = await localise(url, img.getAttribute('alt'));
+      img.setAttribute('src', src);
+      img.setAttribute('alt', img.getAttribute('alt') || alt);
+      img.setAttribute('data-localised', '');
+      ['srcset', 'sizes', 'data-src', 'data-srcset', 'data-lazy-src', 'data-lazy-srcset']
+        .forEach(name => img.removeAttribute(name));
+
+      // The link to the upload adds nothing once the image is local
+      if (linksToImage) {
+        link.replaceWith(...link.childNodes);
+      }
+    }
+
+    const featuredUrl = pageData.wordpress?.featuredImage?.src || pageData.meta?.ogImage;
+    if (featuredUrl) {
+      return await localise(new URL(featuredUrl, pageData.url).href, pageData.wordpress?.featuredImage?.alt);
+    }
+
+    return localised.values().next().value || null;
+  }
+
+  // Largest candidate from srcset (WordPress lists its size variants there),
+  // falling back to src and lazy-loading attributes
+  pickImageSource(img, pageUrl) {
+    const srcset = img.getAttribute('data-srcset') || img.getAttribute('data-lazy-srcset') || img.getAttribute('srcset');
+    const candidates = (srcset || '')
+      .split(',')
+      .map(entry => entry.trim().split(/\s+/))
+      .filter(([url]) => url)
+      .map(([url, descriptor = '1x']) => ({ url, size: parseFloat(descriptor) || 0 }))
+      .sort((a, b) => b.size - a.size);
+
+    const src = candidates[0]?.url
+      || img.getAttribute('data-src')
+      || img.getAttribute('data-lazy-src')
+      || img.getAttribute('src');
+    if (!src || src.startsWith('data:')) return null;
+
+    try {
+      return new URL(src, pageUrl).href;
+    } catch {
+      return null;
+    }
+  }
+
+  // foo-300x200.jpg, foo-1024x683.jpg and foo.jpg are the same image
+  imageVariantKey(url) {
+    const urlObj = new URL(url);
+    return `${urlObj.hostname}${urlObj.pathname.replace(/-\d+x\d+(\.[a-z]+)$/i, '$1')}`;
+  }
+
+  async downloadImage(url, targetPath) {
+    if (await this.staging.existsInTree(targetPath)) {
+      return true; // Already downloaded and applied by a previous run
+    }
+
+    try {
+      // Offline sources only hold the site itself; other hosts are never contacted
+      if (this.source.offline && new URL(url).hostname !== new URL(this.siteUrl).hostname) {
+        throw new Error(`not available from the ${this.source.type} source`);
+      }
+      const response = await this.source.fetch(url, {
+        headers: { 'User-Agent': this.userAgent },
+        signal: AbortSignal.timeout(30000)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await this.staging.write(targetPath, Buffer.from(await response.arrayBuffer()));
+      console.log(`   🖼️  ${this.staging.relativePath(targetPath)}`);
+      return true;
+    } catch (error) {
+      console.error(`   ❌ Could not download ${url}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Structured Elementor widgets: CTAs and galleries go to frontmatter,
+  // testimonials become entries of the testimonials collection
+  async createWidgetFrontmatter(slug, pageData, widgets) {
+    const fields = {};
+
+    if (widgets.ctas.length > 0) {
+      fields.ctas = widgets.ctas;
+    }
+    if (widgets.galleries.length > 0) {
+      fields.galleries = widgets.galleries;
+    }
+
+    if (widgets.testimonials.length > 0) {
+      fields.testimonials = [];
+      for (const [index, testimonial] of widgets.testimonials.entries()) {
+        const id = `${slug}-${index + 1}`;
+        await this.staging.write(
+          path.join(this.testimonialsDir, `${id}.json`),
+          JSON.stringify({ ...testimonial, sourcePage: pageData.url }, null, 2)
+        );
+        fields.testimonials.push(id);
+      }
+    }
+
+    return fields;
+  }
+
+  async createFormFrontmatter(slug, pageData) {
+    const ids = [];
+
+    for (const form of pageData.content?.forms || []) {
+      const definition = createFormDefinition(form, { siteUrl: this.siteUrl });
+      if (!definition) continue;
+
+      const key = JSON.stringify(definition);
+      let id = this.formDefinitions.get(key);
+      if (!id) {
+        id = `${slug}-${ids.length + 1}`;
+        this.formDefinitions.set(key, id);
+        await this.staging.write(
+          path.join(this.formsDir, `${id}.json`),
+          JSON.stringify({ ...definition, sourcePage: pageData.url }, null, 2)
+        );
+        if (!definition.action) {
+          console.log(`   📮 Form ${id} has no submission endpoint yet and renders disabled; set "action" in src/content/forms/${id}.json or params.form_action in src/config/config.json`);
+        }
+      }
+      if (!ids.includes(id)) ids.push(id);
+    }
+
+    return ids.length > 0 ? { forms: ids } : {};
   }
 
   cleanTitle(title) {
-    return title
-      .replace(/\s*\|\s*.*$/, '') // Remove site name from title
-      .replace(/\s*-\s*.*$/, '')  // Remove tagline from title
-      .trim();
+    return cleanTitle(title, { siteName: this.siteName });
   }
 
+  // Entities decoded and whitespace collapsed; junk is left in on purpose so
+  // scoreDescription can see it
   cleanDescription(description) {
     if (!description) return '';
-    return description
-      .replace(/&quot;/g, '"')
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&#8211;/g, '–')
-      .replace(/&#8212;/g, '—')
-      .replace(/<[^>]+>/g, '')
-      .replace(/\{[^}]*\}/g, '') // Remove JSON-like content
-      .replace(/data-[^=]*="[^"]*"/g, '') // Remove data attributes
-      .replace(/\s+/g, ' ')
-      .trim()
-      .substring(0, 160);
-  }
-
-  generateDescriptionFromContent(content) {
-    // Extract first meaningful paragraph
-    const textContent = content.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-    const sentences = textContent.split('.').filter(s => s.trim().length > 20);
-    
-    if (sentences.length > 0) {
-      let description = sentences[0] + '.';
-      if (description.length < 120 && sentences[1]) {
-        description += ' ' + sentences[1] + '.';
+    return decodeEntities(description).replace(/\s+/g, ' ').trim();
+  }
+
+  // The page title, or its first heading when the title is unusable
+  chooseTitle(pageData) {
+    const original = this.cleanTitle(pageData.title);
+    const quality = scoreTitle(original, { siteName: this.siteName });
+    const broken = ['empty', 'markup', 'json'].some(issue => quality.issues.includes(issue));
+
+    const heading = this.cleanTitle(pageData.structure?.h1?.[0] || '');
+    if (broken && heading) {
+      return {
+        value: heading,
+        source: 'h1',
+        original,
+        originalScore: quality.score,
+        originalIssues: quality.issues,
+        ...scoreTitle(heading, { siteName: this.siteName })
+      };
+    }
+    return { value: original, source: 'title', ...quality };
+  }
+
+  // The meta description, or a summary of the first real paragraph when the
+  // meta description is missing or scores below REVIEW_THRESHOLD
+  chooseDescription(pageData, markdown) {
+    const original = truncate(this.cleanDescription(pageData.meta.description), 160);
+    const quality = scoreDescription(original, { siteName: this.siteName });
+    if (quality.score >= REVIEW_THRESHOLD) {
+      return { value: original, source: 'meta', ...quality };
+    }
+
+    const summary = summarize(markdown, { siteName: this.siteName });
+    const summaryQuality = scoreDescription(summary, { siteName: this.siteName });
+    if (summary && summaryQuality.score > quality.score) {
+      return {
+        value: summary,
+        source: 'summary',
+        original,
+        originalScore: quality.score,
+        originalIssues: quality.issues,
+        ...summaryQuality
+      };
+    }
+    return { value: original, source: 'meta', ...quality };
+  }
+
+  chooseSeoDescription(pageData, description) {
+    const seoDescription = truncate(this.cleanDescription(pageData.meta.ogDescription || pageData.meta.description), 160);
+    return scoreDescription(seoDescription, { siteName: this.siteName }).score >= REVIEW_THRESHOLD
+      ? seoDescription
+      : description.value;
+  }
+
+  // Flags titles and descriptions shared by several pages, swaps duplicated
+  // descriptions for a summary where that helps, and lists every field that
+  // still scores low (or was replaced) in crawled-data/content-review.json
+  async reviewContentQuality() {
+    const pages = this.processedPages.filter(page => page.quality);
+    const entries = pages.map(page => ({ slug: page.slug, page, ...page.quality }));
+    markDuplicates(entries, 'title');
+    markDuplicates(entries, 'description');
+
+    for (const entry of entries) {
+      const { description, page } = entry;
+      if (description.issues.includes('duplicate') && description.source === 'meta') {
+        const summary = summarize(page.markdown, { siteName: this.siteName });
+        const used = new Set(entries.filter(other => other !== entry).map(other => other.description.value.toLowerCase()));
+        if (summary && !used.has(summary.toLowerCase())) {
+          entry.description = {
+            value: summary,
+            source: 'summary',
+            original: description.value,
+            originalScore: description.score,
+            originalIssues: description.issues,
+            ...scoreDescription(summary, { siteName: this.siteName })
+          };
+          page.frontmatter.description = summary;
+          if (page.frontmatter.seo.description === description.value) {
+            page.frontmatter.seo.description = summary;
+          }
+          await this.staging.write(page.outputPath, this.createMarkdownFile(page.frontmatter, page.markdown));
+        }
       }
-      return description.substring(0, 160);
     }
-    
-    return textContent.substring(0, 160);
+
+    this.contentReview = entries.flatMap(entry => ['title', 'description']
+      .map(field => ({ field, quality: entry[field] }))
+      .filter(({ quality }) => quality.score < REVIEW_THRESHOLD || quality.original !== undefined)
+      .map(({ field, quality }) => ({
+        slug: entry.slug,
+        file: path.relative(path.join(__dirname, '..'), entry.page.outputPath),
+        field,
+        value: quality.value,
+        source: quality.source,
+        score: quality.score,
+        issues: quality.issues,
+        ...(quality.duplicateOf ? { duplicateOf: quality.duplicateOf } : {}),
+        ...(quality.original !== undefined ? {
+          replaced: { value: quality.original, score: quality.originalScore, issues: quality.originalIssues }
+        } : {})
+      })));
+
+    this.contentReview.forEach(item => {
+      const note = item.replaced ? ` (was ${item.replaced.score}/100, replaced by ${item.source})` : '';
+      console.log(`   📝 ${item.file} ${item.field}: ${item.score}/100 ${item.issues.join(', ') || 'ok'}${note}`);
+    });
+
+    // Read by migrate.js for the migration report
+    await fs.writeFile(
+      path.join(this.crawledDataDir, 'content-review.json'),
+      JSON.stringify({
+        threshold: REVIEW_THRESHOLD,
+        fields: this.contentReview,
+        articlesWithoutImage: this.articlesWithoutImage
+      }, null, 2)
+    );
   }
 
+
   generateAltTextFromFilename(filename) {
     return filename
       .replace(/\.[^/.]+$/, '') // Remove extension
@@ -347,37 +884,75 @@ class ContentProcessor {
       return `"${str}"`;
     };
     
-    const yamlFrontmatter = Object.entries(frontmatter)
-      .map(([key, value]) => {
-        if (typeof value === 'object' && value !== null) {
-          const objectEntries = Object.entries(value)
-            .map(([k, v]) => `  ${k}: ${formatYamlValue(v)}`)
-            .join('\n');
-          return `${key}:\n${objectEntries}`;
-        }
-        return `${key}: ${formatYamlValue(value)}`;
-      })
+    // Objects and arrays (CTAs, galleries, ...) are written as nested YAML
+    const formatYamlNode = (value, indent) => {
+      if (Array.isArray(value)) {
+        if (value.length === 0) return ' []';
+        return '\n' + value
+          .map(item => {
+            if (typeof item === 'object' && item !== null) {
+              // First key goes on the dash line, the rest align under it
+              return formatYamlEntries(item, `${indent}    `).replace(/^\s*/, `${indent}  - `);
+            }
+            return `${indent}  - ${formatYamlValue(item)}`;
+          })
+          .join('\n');
+      }
+      if (typeof value === 'object' && value !== null) {
+        return '\n' + formatYamlEntries(value, `${indent}  `);
+      }
+      return ` ${formatYamlValue(value)}`;
+    };
+
+    const formatYamlEntries = (object, indent = '') => Object.entries(object)
+      .map(([key, value]) => `${indent}${key}:${formatYamlNode(value, indent)}`)
       .join('\n');
 
+    const yamlFrontmatter = formatYamlEntries(frontmatter);
+
     return `---\n${yamlFrontmatter}\n---\n\n${content}`;
   }
 
   async generateContentConfig() {
-    const configContent = `import { defineCollection, z } from 'astro:content';
+    const configPath = path.join(this.outputDir, 'config.ts');
+
+    // The schema is maintained by hand once it exists (team, homepage,
+    // features, ...); only a brand-new project gets this starting point
+    if (await this.staging.existsInTree(configPath)) {
+      console.log('   ⏭️  Keeping existing src/content/config.ts');
+      return;
+    }
+
+    const configContent = `import { glob } from 'astro/loaders';
+import { defineCollection, reference, z } from 'astro:content';
+
+const seo = z.object({
+  title: z.string().optional(),
+  description: z.string().optional(),
+  canonical: z.string().url().optional(),
+}).optional();
+
+// Structured Elementor widgets extracted by scripts/process-content.js
+const migratedWidgets = {
+  ctas: z.array(z.object({ label: z.string(), link: z.string() })).optional(),
+  galleries: z.array(z.object({
+    images: z.array(z.object({ src: z.string(), alt: z.string() })),
+  })).optional(),
+  testimonials: z.array(reference('testimonials')).optional(),
+  forms: z.array(reference('forms')).optional(),
+};
 
 const pages = defineCollection({
   schema: z.object({
     title: z.string(),
     description: z.string(),
     publishDate: z.string(),
+    updatedDate: z.string().optional(),
     category: z.enum(['page', 'about', 'service', 'contact', 'resource']),
     originalUrl: z.string(),
     slug: z.string(),
-    seo: z.object({
-      title: z.string().optional(),
-      description: z.string().optional(),
-      canonical: z.string().url().optional(),
-    }).optional(),
+    ...migratedWidgets,
+    seo,
   }),
 });
 
@@ -386,46 +961,90 @@ const articles = defineCollection({
     title: z.string(),
     description: z.string(),
     publishDate: z.string(),
+    updatedDate: z.string().optional(),
     category: z.enum(['article']),
     originalUrl: z.string(),
     slug: z.string(),
-    seo: z.object({
-      title: z.string().optional(),
-      description: z.string().optional(),
-      canonical: z.string().url().optional(),
-    }).optional(),
+    image: z.string(),
+    imageDescription: z.string().optional(),
+    ...migratedWidgets,
+    seo,
+  }),
+});
+
+const testimonials = defineCollection({
+  loader: glob({ pattern: '**/*.json', base: 'src/content/testimonials' }),
+  schema: z.object({
+    quote: z.string(),
+    author: z.string(),
+    role: z.string().optional(),
+    avatar: z.string().optional(),
+    sourcePage: z.string().optional(),
+  }),
+});
+
+const forms = defineCollection({
+  loader: glob({ pattern: '**/*.json', base: 'src/content/forms' }),
+  schema: z.object({
+    title: z.string().optional(),
+    action: z.string().optional(),
+    method: z.enum(['get', 'post']).default('post'),
+    submitLabel: z.string().default('Enviar'),
+    fields: z.array(z.object({
+      name: z.string(),
+      type: z.enum(['text', 'email', 'tel', 'number', 'date', 'url', 'textarea', 'select', 'radio', 'checkbox']),
+      label: z.string(),
+      required: z.boolean().default(false),
+      placeholder: z.string().optional(),
+      options: z.array(z.object({ value: z.string(), label: z.string() })).optional(),
+      multiple: z.boolean().optional(),
+    })),
+    originalAction: z.string().optional(),
+    sourcePage: z.string().optional(),
   }),
 });
 
 export const collections = {
   pages,
   articles,
+  testimonials,
+  forms,
 };`;
 
-    await fs.writeFile(path.join(this.outputDir, 'config.ts'), configContent);
+    await this.staging.write(configPath, configContent);
     console.log('   ✓ Generated content configuration');
   }
 
   async generateRedirectsMapping() {
-    const redirects = this.processedPages.map(page => ({
-      from: page.originalUrl.replace('https://obraabc.org', ''),
-      to: `/${page.slug}`,
-      status: 301
-    }));
+    const redirects = [
+      ...this.processedPages.map(page => ({
+        from: page.originalUrl.replace(this.siteUrl, ''),
+        to: `/${page.slug}`,
+        status: 301
+      })),
+      // Merged duplicates keep working as redirects to their canonical page
+      ...this.mergedPages.map(merge => ({
+        from: merge.url.replace(this.siteUrl, ''),
+        to: `/${merge.canonicalSlug}`,
+        status: 301
+      }))
+    ];
 
-    await fs.writeFile(
+    await this.staging.write(
       path.join(__dirname, '../redirects.json'),
       JSON.stringify(redirects, null, 2)
     );
 
-    // Generate Netlify redirects file
-    const netlifyRedirects = redirects
-      .map(r => `${r.from} ${r.to} ${r.status}`)
-      .join('\n');
+    // Firebase Hosting reads redirects from firebase.json; invalid mappings
+    // (conflicting sources, chains, loops) stop processing here
+    const trailingSlash = await loadTrailingSlash();
+    const { redirects: firebaseRedirects, skipped } = buildRedirects(redirects, { trailingSlash });
+    skipped.forEach(({ from, to, reason }) => console.log(`   ⏭️  Redirect ${from} → ${to} skipped: ${reason}`));
 
-    await fs.writeFile(
-      path.join(__dirname, '../public/_redirects'),
-      netlifyRedirects
+    const firebaseConfigPath = path.join(__dirname, '../firebase.json');
+    await this.staging.write(
+      firebaseConfigPath,
+      updateFirebaseConfig(await fs.readFile(firebaseConfigPath, 'utf-8'), firebaseRedirects, { trailingSlash })
     );
 
     console.log('   ✓ Generated redirects mapping');
@@ -434,14 +1053,22 @@ export const collections = {
 
 // CLI execution
 async function main() {
-  const processor = new ContentProcessor();
-  
+  const settings = await resolvePipelineSettings();
+  const processor = new ContentProcessor(undefined, {
+    siteUrl: settings.siteUrl,
+    siteName: settings.siteName,
+    source: settings.source,
+    userAgent: settings.crawler.userAgent
+  });
+
   try {
     await processor.initialize();
     await processor.processAllContent();
   } catch (error) {
     console.error('💥 Content processing failed:', error);
     process.exit(1);
+  } finally {
+    await processor.cleanup();
   }
 }
 
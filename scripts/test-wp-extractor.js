@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+// Runs the WordPress REST extractor against the stand-in server with the
+// responses recorded in scripts/fixtures/wp-rest/, without touching the network
+// or crawled-data/.
+//
+//   npm run test:wp-extractor
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startFixtureServer } from './wp-fixture-server.js';
+import { WordPressRestExtractor } from './wp-rest-extractor.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/wp-rest');
+const SITE_URL = 'https://obraabc.org';
+
+class WordPressExtractorTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runAllTests() {
+    console.log('🧪 Testing WordPress REST extraction against recorded fixtures...\n');
+
+    const server = await startFixtureServer(FIXTURES_DIR);
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wp-extractor-'));
+
+    try {
+      const extractor = new WordPressRestExtractor(SITE_URL, {
+        source: { type: 'url', url: server.url },
+        outputDir
+      });
+      try {
+        await extractor.initialize();
+        await extractor.extract();
+        await extractor.saveResults();
+      } finally {
+        await extractor.cleanup();
+      }
+
+      const readOutput = async (file) => JSON.parse(await fs.readFile(path.join(outputDir, file), 'utf-8'));
+      const pagesData = await readOutput('pages-data.json');
+      const images = await readOutput('images-list.json');
+      const summary = await readOutput('crawl-summary.json');
+
+      this.testPages(pagesData);
+      this.testPost(pagesData.find(page => page.wordpress.type === 'post'));
+      this.testPage(pagesData.find(page => page.wordpress.type === 'page'));
+      this.testImages(images);
+      this.testSummary(summary);
+    } catch (error) {
+      this.fail(`Extraction error: ${error.message}`);
+    } finally {
+      await server.close();
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+
+    this.showResults();
+  }
+
+  testPages(pagesData) {
+    console.log('\n📄 Testing pages-data.json...');
+    this.check(pagesData.length === 2, 'One post and one page extracted', `expected 2 pages, got ${pagesData.length}`);
+  }
+
+  testPost(post) {
+    console.log('\n📰 Testing post...');
+    if (!post) {
+      this.fail('Post missing from pages-data.json');
+      return;
+    }
+
+    this.check(post.url === 'https://obraabc.org/2021/06/25/arraial-de-sao-joao/', 'Permalink kept as the page URL', post.url);
+    this.check(post.title === 'Arraial de São João', 'Title entities decoded', post.title);
+    this.check(post.meta.description.startsWith('Celebrámos'), 'Yoast description used', post.meta.description);
+    this.check(post.meta.publishedTime === '2021-06-25T00:30:00+01:00', 'Published time in site time with its offset', post.meta.publishedTime);
+    this.check(post.wordpress.categories.join() === 'Notícias', 'Category names resolved', post.wordpress.categories.join());
+    this.check(post.wordpress.tags.join() === 'Arraial', 'Tag names resolved', post.wordpress.tags.join());
+    this.check(post.wordpress.author === null, 'Private users endpoint skipped', post.wordpress.author);
+    this.check(
+      post.wordpress.featuredImage?.src === 'https://obraabc.org/wp-content/uploads/2021/06/arraial-2021.jpg',
+      'Featured image resolved from media',
+      post.wordpress.featuredImage?.src
+    );
+    this.check(
+      post.links.some(link => link.href === 'https://obraabc.org/wp-content/uploads/2021/06/programa.pdf'),
+      'Relative links resolved against the permalink',
+      post.links.map(link => link.href).join(', ')
+    );
+  }
+
+  testPage(page) {
+    console.log('\n📃 Testing page...');
+    if (!page) {
+      this.fail('Page missing from pages-data.json');
+      return;
+    }
+
+    this.check(page.meta.description.startsWith('Pode contribuir'), 'Excerpt used without Yoast data', page.meta.description);
+    this.check(page.structure.h2[0] === 'Como ajudar', 'Headings collected', page.structure.h2.join());
+    const form = page.content.forms[0];
+    this.check(
+      form?.fields.map(field => `${field.name}:${field.type}`).join() === 'nome:text,email:email,mensagem:textarea',
+      'Form fields collected',
+      form?.fields.map(field => field.name).join()
+    );
+  }
+
+  testImages(images) {
+    console.log('\n🖼️  Testing images-list.json...');
+    this.check(images.length === 2, 'Featured and inline images listed', `expected 2 images, got ${images.length}`);
+    this.check(
+      images[0]?.alt === 'Crianças no arraial de São João' && images[0]?.width === 1200,
+      'Featured image alt text and size from media',
+      JSON.stringify(images[0])
+    );
+    this.check(
+      images.every(image => image.page === 'https://obraabc.org/2021/06/25/arraial-de-sao-joao/'),
+      'Images record the page they appear on',
+      images.map(image => image.page).join(', ')
+    );
+  }
+
+  testSummary(summary) {
+    console.log('\n📊 Testing crawl-summary.json...');
+    this.check(summary.extractor === 'wp-rest' && summary.source === 'url', 'Extractor and source recorded', `${summary.extractor}/${summary.source}`);
+    this.check(summary.errors.length === 0, 'No extraction errors', JSON.stringify(summary.errors));
+  }
+
+  check(condition, message, actual) {
+    if (condition) {
+      this.pass(message);
+    } else {
+      this.fail(`${message} (got ${actual})`);
+    }
+  }
+
+  pass(message) {
+    console.log(`   ✅ ${message}`);
+    this.passed++;
+  }
+
+  fail(message) {
+    console.log(`   ❌ ${message}`);
+    this.failed++;
+  }
+
+  showResults() {
+    console.log('\n📊 TEST RESULTS');
+    console.log('=' .repeat(50));
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    if (this.failed > 0) {
+      console.log('\n⚠️  The extractor no longer matches the recorded fixtures.');
+      process.exit(1);
+    }
+    console.log('\n🎉 WordPress REST extraction works against the fixtures.');
+  }
+}
+
+// Run tests
+const tester = new WordPressExtractorTester();
+await tester.runAllTests();
@@ -0,0 +1,42 @@
+// URL normalisation shared by the crawler and the content processor.
+//
+// Fragments never reach the server and tracking parameters do not change the
+// page, yet both make one page look like several (/donativos/#donativo,
+// /donativos/?utm_source=facebook). Stripping them before crawling and
+// processing keeps one URL per page.
+
+// Exact names, plus every utm_* parameter
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'igshid',
+  '_ga', '_gl', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok',
+  // WordPress comment reply links render the same post
+  'replytocom'
+]);
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+/**
+ * Returns the URL without fragment and tracking parameters, or null when it
+ * cannot be parsed. Other query parameters and the path are left untouched.
+ */
+function normalizeUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return null;
+  }
+
+  urlObj.hash = '';
+  Array.from(urlObj.searchParams.keys())
+    .filter(isTrackingParam)
+    .forEach(name => urlObj.searchParams.delete(name));
+
+  // URLSearchParams leaves a bare "?" behind once every parameter is gone
+  return urlObj.href.replace(/\?$/, '');
+}
+
+export { normalizeUrl, isTrackingParam };
@@ -15,7 +15,8 @@ class ContentValidator {
       totalArticles: 0,
       pagesWithMissingImages: 0,
       brokenInternalLinks: 0,
-      missingDescriptions: 0
+      missingDescriptions: 0,
+      pagesWithBuilderMarkup: 0
     };
   }
 
@@ -94,6 +95,14 @@ class ContentValidator {
         this.stats.missingDescriptions++;
       }
 
+      // Raw page-builder markup means the file skipped the DOM converter;
+      // the [...slug] route would publish it as it is
+      const builderMarkup = bodyContent.match(/class="[^"]*\b(?:elementor|swiper)[\w-]*/g) || [];
+      if (builderMarkup.length > 0) {
+        this.errors.push(`${fileName}: ${builderMarkup.length} elements with Elementor/Swiper classes, regenerate it with process-content.js`);
+        this.stats.pagesWithBuilderMarkup++;
+      }
+
       // Validate content length
       if (bodyContent.trim().length < 100) {
         this.warnings.push(`${fileName}: Very short content (${bodyContent.trim().length} chars)`);
@@ -211,6 +220,10 @@ class ContentValidator {
       recommendations.push('Fix broken image references or remove them from content');
     }
 
+    if (this.stats.pagesWithBuilderMarkup > 0) {
+      recommendations.push('Regenerate pages that still contain Elementor markup through process-content.js');
+    }
+
     if (this.errors.length > 0) {
       recommendations.push('Fix all validation errors before deployment');
     }
@@ -236,6 +249,7 @@ class ContentValidator {
     console.log(`⚠️  Warnings: ${this.warnings.length}`);
     console.log(`🖼️  Pages with missing images: ${this.stats.pagesWithMissingImages}`);
     console.log(`📝 Pages with missing descriptions: ${this.stats.missingDescriptions}`);
+    console.log(`🧱 Pages with Elementor markup: ${this.stats.pagesWithBuilderMarkup}`);
 
     if (this.errors.length > 0) {
       console.log('\n🚨 ERRORS TO FIX:');
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+import { chromium } from 'playwright';
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCrawlSource, MirrorSource } from './crawl-sources.js';
+import { DEFAULT_SETTINGS, resolvePipelineSettings } from './pipeline-settings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const VIEWPORTS = {
+  desktop: { width: 1920, height: 1080, isMobile: false },
+  mobile: { width: 390, height: 844, isMobile: true }
+};
+
+// Very long pages are cropped so screenshots and diffs stay manageable
+const MAX_HEIGHT = 8000;
+
+// Per-channel difference (0-1) above which a pixel counts as changed
+const PIXEL_TOLERANCE = 0.1;
+
+/**
+ * Screenshots every page in redirects.json on the original site and on the
+ * locally served Astro build, and scores how different they look.
+ */
+class VisualComparator {
+  constructor(siteUrl = DEFAULT_SETTINGS.siteUrl, options = {}) {
+    this.siteUrl = siteUrl;
+    this.source = createCrawlSource(siteUrl, options.source);
+    this.build = new MirrorSource(siteUrl, options.distDir || path.join(__dirname, '../dist'));
+    this.threshold = options.threshold ?? DEFAULT_SETTINGS.visualCompare.threshold;
+    if (!Number.isFinite(this.threshold) || this.threshold < 0 || this.threshold > 1) {
+      throw new Error(`threshold must be a number from 0 to 1, got ${this.threshold}`);
+    }
+    this.reportDir = options.reportDir || path.join(__dirname, '../visual-report');
+    this.userAgent = options.userAgent ?? DEFAULT_SETTINGS.crawler.userAgent;
+    this.browser = null;
+    this.results = [];
+    this.errors = [];
+  }
+
+  async initialize() {
+    try {
+      await fs.access(path.join(this.build.rootDir, 'index.html'));
+    } catch {
+      throw new Error(`No build found in ${this.build.rootDir}. Run "npm run build" first.`);
+    }
+
+    await fs.mkdir(this.reportDir, { recursive: true });
+    await this.source.open();
+    await this.build.open();
+
+    this.browser = await chromium.launch({ headless: true });
+    console.log('🚀 Browser launched successfully');
+  }
+
+  async loadPagePairs() {
+    const redirects = JSON.parse(
+      await fs.readFile(path.join(__dirname, '../redirects.json'), 'utf-8')
+    );
+
+    // "" and "/" point at the same page, and screenshots ignore fragments
+    const pairs = new Map();
+    for (const redirect of redirects) {
+      const sourcePath = (redirect.from || '/').split('#')[0] || '/';
+      const buildPath = redirect.to === '/index' ? '/' : redirect.to;
+      if (!pairs.has(sourcePath)) {
+        pairs.set(sourcePath, { sourcePath, buildPath, name: this.createName(buildPath) });
+      }
+    }
+    return Array.from(pairs.values());
+  }
+
+  createName(routePath) {
+    return routePath.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9-_]/g, '-') || 'index';
+  }
+
+  async compareAll() {
+    const pairs = await this.loadPagePairs();
+    console.log(`🔍 Comparing ${pairs.length} pages at ${Object.keys(VIEWPORTS).length} viewports...`);
+
+    for (const [viewportName, viewport] of Object.entries(VIEWPORTS)) {
+      const sourceContext = await this.createContext(viewport);
+      await this.source.attach(sourceContext);
+      const buildContext = await this.createContext(viewport);
+
+      try {
+        for (const pair of pairs) {
+          await this.comparePage(pair, viewportName, sourceContext, buildContext);
+        }
+      } finally {
+        await sourceContext.close();
+        await buildContext.close();
+      }
+    }
+  }
+
+  async createContext(viewport) {
+    return await this.browser.newContext({
+      userAgent: this.userAgent,
+      viewport: { width: viewport.width, height: viewport.height },
+      isMobile: viewport.isMobile,
+      deviceScaleFactor: 1
+    });
+  }
+
+  async comparePage(pair, viewportName, sourceContext, buildContext) {
+    const sourceUrl = `${this.siteUrl}${pair.sourcePath}`;
+    const buildUrl = `${this.build.sourceUrl}${pair.buildPath}`;
+    console.log(`📸 ${pair.name} (${viewportName})`);
+
+    try {
+      const sourceShot = await this.screenshot(sourceContext, sourceUrl);
+      const buildShot = await this.screenshot(buildContext, buildUrl);
+
+      const prefix = path.join(this.reportDir, `${pair.name}-${viewportName}`);
+      const { score, diffImage, width, height } = await this.diffImages(sourceShot, buildShot);
+
+      await fs.writeFile(`${prefix}-source.png`, sourceShot);
+      await fs.writeFile(`${prefix}-build.png`, buildShot);
+      await fs.writeFile(`${prefix}-diff.png`, diffImage);
+      await fs.writeFile(`${prefix}-side-by-side.png`,
+        await this.sideBySide([sourceShot, buildShot, diffImage], width, height));
+
+      const flagged = score > this.threshold;
+      this.results.push({
+        page: pair.name,
+        viewport: viewportName,
+        sourceUrl,
+        buildPath: pair.buildPath,
+        score: Math.round(score * 10000) / 10000,
+        flagged,
+        sideBySide: path.relative(path.join(__dirname, '..'), `${prefix}-side-by-side.png`)
+      });
+
+      console.log(`   ${flagged ? '⚠️ ' : '✓'} ${(score * 100).toFixed(1)}% different`);
+    } catch (error) {
+      console.error(`   ❌ Error comparing ${pair.name}: ${error.message}`);
+      this.errors.push({ page: pair.name, viewport: viewportName, error: error.message });
+    }
+  }
+
+  async screenshot(context, url) {
+    const page = await context.newPage();
+    try {
+      await page.goto(url, { waitUntil: 'load', timeout: 30000 });
+      // Let lazy images and fonts settle
+      await page.waitForTimeout(2000);
+      return await page.screenshot({ fullPage: true });
+    } finally {
+      await page.close();
+    }
+  }
+
+  async toRaw(image, width, height) {
+    const meta = await sharp(image).metadata();
+    let pipeline = sharp(image);
+
+    if (meta.width !== width) {
+      pipeline = sharp(await pipeline.resize({ width }).png().toBuffer());
+    }
+    const resized = await pipeline.metadata();
+    const visibleHeight = Math.min(resized.height, height);
+
+    return await pipeline
+      .extract({ left: 0, top: 0, width, height: visibleHeight })
+      .extend({ bottom: height - visibleHeight, background: { r: 255, g: 255, b: 255, alpha: 1 } })
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+  }
+
+  async diffImages(sourceImage, buildImage) {
+    const sourceMeta = await sharp(sourceImage).metadata();
+    const buildMeta = await sharp(buildImage).metadata();
+    const width = sourceMeta.width;
+    const height = Math.min(MAX_HEIGHT, Math.max(
+      sourceMeta.height,
+      Math.round(buildMeta.height * (width / buildMeta.width))
+    ));
+
+    const a = await this.toRaw(sourceImage, width, height);
+    const b = await this.toRaw(buildImage, width, height);
+    const diff = Buffer.alloc(a.length);
+    let changed = 0;
+
+    for (let i = 0; i < a.length; i += 4) {
+      const delta = (Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2])) / (3 * 255);
+      if (delta > PIXEL_TOLERANCE) {
+        changed++;
+        diff[i] = 255;
+        diff[i + 1] = 0;
+        diff[i + 2] = 0;
+      } else {
+        // Faded greyscale of the original for context
+        const grey = Math.round(((a[i] + a[i + 1] + a[i + 2]) / 3) * 0.3 + 178);
+        diff[i] = grey;
+        diff[i + 1] = grey;
+        diff[i + 2] = grey;
+      }
+      diff[i + 3] = 255;
+    }
+
+    const diffImage = await sharp(diff, { raw: { width, height, channels: 4 } }).png().toBuffer();
+    return { score: changed / (width * height), diffImage, width, height };
+  }
+
+  async sideBySide(images, width, height) {
+    const gap = 16;
+    const panels = await Promise.all(images.map(async image => {
+      const resized = await sharp(image).resize({ width }).png().toBuffer();
+      const meta = await sharp(resized).metadata();
+      return await sharp(resized)
+        .extract({ left: 0, top: 0, width, height: Math.min(height, meta.height) })
+        .png()
+        .toBuffer();
+    }));
+
+    return await sharp({
+      create: {
+        width: width * images.length + gap * (images.length - 1),
+        height,
+        channels: 4,
+        background: { r: 255, g: 255, b: 255, alpha: 1 }
+      }
+    })
+      .composite(panels.map((input, index) => ({ input, left: index * (width + gap), top: 0 })))
+      .png()
+      .toBuffer();
+  }
+
+  async saveResults() {
+    const flagged = this.results.filter(result => result.flagged);
+    const report = {
+      generatedDate: new Date().toISOString(),
+      siteUrl: this.siteUrl,
+      threshold: this.threshold,
+      totalComparisons: this.results.length,
+      flagged: flagged.length,
+      errors: this.errors,
+      results: this.results.sort((a, b) => b.score - a.score)
+    };
+
+    await fs.writeFile(
+      path.join(this.reportDir, 'report.json'),
+      JSON.stringify(report, null, 2)
+    );
+
+    await this.updateMigrationReport(report, flagged);
+
+    console.log(`✅ Visual report saved to: ${this.reportDir}`);
+    console.log(`   📸 ${this.results.length} comparisons`);
+    console.log(`   ⚠️  ${flagged.length} above the ${(this.threshold * 100).toFixed(0)}% threshold`);
+    console.log(`   ❌ ${this.errors.length} errors encountered`);
+  }
+
+  async updateMigrationReport(report, flagged) {
+    const reportPath = path.join(__dirname, '../migration-report.json');
+    let migrationReport = {};
+    try {
+      migrationReport = JSON.parse(await fs.readFile(reportPath, 'utf-8'));
+    } catch {
+      // No migration has been run yet; start a report with just the comparison
+    }
+
+    migrationReport.visualComparison = {
+      generatedDate: report.generatedDate,
+      threshold: report.threshold,
+      totalComparisons: report.totalComparisons,
+      flaggedPages: flagged.map(({ page, viewport, score, sideBySide }) => ({ page, viewport, score, sideBySide }))
+    };
+
+    await fs.writeFile(reportPath, JSON.stringify(migrationReport, null, 2));
+  }
+
+  async cleanup() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      console.log('🔄 Browser closed');
+    }
+    await this.source.close();
+    await this.build.close();
+  }
+}
+
+// CLI execution
+async function main() {
+  // --threshold, or visualCompare.threshold in migrate.config.js
+  const settings = await resolvePipelineSettings();
+  const comparator = new VisualComparator(settings.siteUrl, {
+    source: settings.source,
+    userAgent: settings.crawler.userAgent,
+    threshold: settings.visualCompare.threshold
+  });
+
+  try {
+    await comparator.initialize();
+    await comparator.compareAll();
+    await comparator.saveResults();
+  } catch (error) {
+    console.error('💥 Visual comparison failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await comparator.cleanup();
+  }
+}
+
+// Export for programmatic use
+export { VisualComparator };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 import { watch } from 'fs/promises';
-import { optimizeArticleImages } from './optimize-article-images.js';
+import { optimizeArticleImages, CONFIG } from './optimize-article-images.js';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -9,10 +9,10 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '..');
 
-const SOURCE_DIR = join(projectRoot, 'src/assets/articles');
+const SOURCE_DIRS = CONFIG.folders.map(folder => join(projectRoot, 'src/assets', folder));
 
 console.log('👀 Watching for image changes...');
-console.log(`Watching: ${SOURCE_DIR}`);
+SOURCE_DIRS.forEach(dir => console.log(`Watching: ${dir}`));
 
 let isOptimizing = false;
 let pendingOptimization = false;
@@ -42,15 +42,15 @@ async function runOptimization() {
   }
 }
 
-async function watchImages() {
+async function watchImages(sourceDir) {
   try {
-    const watcher = watch(SOURCE_DIR, { recursive: true });
+    const watcher = watch(sourceDir, { recursive: true });
     
     for await (const event of watcher) {
       const { eventType, filename } = event;
       
-      // Only process image files
-      if (filename && /\.(jpg|jpeg|png|webp)$/i.test(filename)) {
+      // Only process image files and their focal point sidecars
+      if (filename && /\.(jpg|jpeg|png|webp|json)$/i.test(filename)) {
         console.log(`📸 ${eventType}: ${filename}`);
         
         // Debounce optimization calls
@@ -70,4 +70,4 @@ await optimizeArticleImages();
 console.log('');
 
 // Start watching
-watchImages();
+SOURCE_DIRS.forEach(dir => watchImages(dir));
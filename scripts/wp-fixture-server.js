@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+// Stand-in for the WordPress REST API that replays JSON recorded with
+// `node scripts/wp-rest-extractor.js --record <dir>`.
+//
+//   node scripts/wp-fixture-server.js <dir> [--port 4010]
+//   node scripts/wp-rest-extractor.js --source-url http://127.0.0.1:4010
+//
+// scripts/fixtures/wp-rest/ holds a small recorded set that
+// `npm run test:wp-extractor` runs the extractor against.
+
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fixtureFilename } from './wp-rest-extractor.js';
+
+async function startFixtureServer(fixturesDir, port = 0) {
+  const files = await fs.readdir(fixturesDir);
+
+  // Number of recorded pages per endpoint, reported as X-WP-TotalPages
+  const totalPages = {};
+  files.forEach(file => {
+    const match = file.match(/^(.+)\.page-(\d+)\.json$/);
+    if (match) {
+      totalPages[match[1]] = Math.max(totalPages[match[1]] || 0, parseInt(match[2], 10));
+    }
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/wp-json\/wp\/v2\/([a-z_-]+)\/?$/);
+
+    if (!match || !totalPages[match[1]]) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: 'rest_no_route', message: 'No route was found' }));
+      return;
+    }
+
+    const endpoint = match[1];
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+
+    try {
+      const body = await fs.readFile(path.join(fixturesDir, fixtureFilename(endpoint, page)));
+      res.writeHead(200, {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-WP-TotalPages': String(totalPages[endpoint])
+      });
+      res.end(body);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: 'rest_post_invalid_page_number', message: 'Invalid page number' }));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// CLI execution
+async function main() {
+  const fixturesDir = process.argv[2];
+  if (!fixturesDir) {
+    console.error('Usage: node scripts/wp-fixture-server.js <fixtures-dir> [--port 4010]');
+    process.exit(1);
+  }
+
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : 4010;
+
+  try {
+    const server = await startFixtureServer(path.resolve(fixturesDir), port);
+    console.log(`🧪 Serving WordPress fixtures from ${fixturesDir} at ${server.url}`);
+  } catch (error) {
+    console.error('💥 Fixture server failed to start:', error);
+    process.exit(1);
+  }
+}
+
+// Export for programmatic use
+export { startFixtureServer };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
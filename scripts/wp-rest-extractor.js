@@ -0,0 +1,322 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { fileURLToPath } from 'url';
+import { createCrawlSource } from './crawl-sources.js';
+import { DEFAULT_SETTINGS, resolvePipelineSettings } from './pipeline-settings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const API_PATH = '/wp-json/wp/v2';
+const PER_PAGE = 100;
+
+/**
+ * Alternative to ObraABCSiteCrawler.extractPageData: reads posts, pages and
+ * media from the WordPress REST API and writes the same pages-data.json /
+ * images-list.json files, with the structured data the rendered DOM loses.
+ */
+class WordPressRestExtractor {
+  constructor(baseUrl = DEFAULT_SETTINGS.siteUrl, options = {}) {
+    this.baseUrl = baseUrl;
+    this.source = createCrawlSource(baseUrl, options.source);
+    this.outputDir = options.outputDir ?? path.join(__dirname, '../crawled-data');
+    this.userAgent = options.userAgent ?? DEFAULT_SETTINGS.crawler.userAgent;
+
+    // Save every API response so a stand-in server can replay them later
+    this.recordDir = options.recordDir || null;
+
+    this.pagesData = [];
+    // Every occurrence, like the crawler; ImageOptimizer groups them by asset
+    this.images = [];
+    this.errors = [];
+    this.categories = new Map();
+    this.tags = new Map();
+    this.authors = new Map();
+    this.media = new Map();
+  }
+
+  async initialize() {
+    await fs.mkdir(path.join(this.outputDir, 'pages'), { recursive: true });
+    if (this.recordDir) {
+      await fs.mkdir(this.recordDir, { recursive: true });
+    }
+    await this.source.open();
+    console.log(`🔌 WordPress REST extractor ready for ${this.baseUrl}${API_PATH}`);
+  }
+
+  async extract() {
+    console.log('📡 Reading taxonomies and media...');
+    (await this.fetchCollection('categories')).forEach(term => this.categories.set(term.id, term.name));
+    (await this.fetchCollection('tags')).forEach(term => this.tags.set(term.id, term.name));
+    (await this.fetchCollection('users')).forEach(user => this.authors.set(user.id, user.name));
+    (await this.fetchCollection('media')).forEach(item => this.media.set(item.id, item));
+
+    for (const type of ['posts', 'pages']) {
+      const items = await this.fetchCollection(type);
+      console.log(`📄 ${items.length} ${type} found`);
+      for (const item of items) {
+        try {
+          const pageData = this.normalizeItem(item, type);
+          this.pagesData.push(pageData);
+          console.log(`   ✓ Extracted: ${pageData.title || 'Untitled'}`);
+        } catch (error) {
+          console.error(`   ❌ Error normalising ${type} #${item.id}: ${error.message}`);
+          this.errors.push({ url: item.link, type: 'navigation', status: null, error: error.message, attempts: 1 });
+        }
+      }
+    }
+
+    console.log(`✅ Extraction completed! Found ${this.pagesData.length} pages`);
+  }
+
+  async fetchCollection(endpoint) {
+    const items = [];
+
+    for (let page = 1; ; page++) {
+      const url = `${this.baseUrl}${API_PATH}/${endpoint}?per_page=${PER_PAGE}&page=${page}`;
+
+      let response;
+      try {
+        response = await this.source.fetch(url, {
+          headers: { 'User-Agent': this.userAgent, Accept: 'application/json' },
+          signal: AbortSignal.timeout(30000)
+        });
+      } catch (error) {
+        this.errors.push({ url, type: 'navigation', status: null, error: error.message, attempts: 1 });
+        break;
+      }
+
+      // Private endpoints (e.g. users) answer 401/403; paging past the end answers 400
+      if (!response.ok) {
+        if (page === 1 && response.status !== 400) {
+          console.log(`   ⚠️  ${endpoint}: HTTP ${response.status}, skipping`);
+        }
+        break;
+      }
+
+      const body = await response.text();
+      await this.recordResponse(endpoint, page, body);
+
+      const batch = JSON.parse(body);
+      items.push(...batch);
+
+      const totalPages = parseInt(response.headers.get('x-wp-totalpages') || '1', 10);
+      if (page >= totalPages || batch.length < PER_PAGE) break;
+    }
+
+    return items;
+  }
+
+  async recordResponse(endpoint, page, body) {
+    if (!this.recordDir) return;
+    await fs.writeFile(path.join(this.recordDir, fixtureFilename(endpoint, page)), body);
+  }
+
+  normalizeItem(item, type) {
+    const html = item.content?.rendered || '';
+    const fragment = JSDOM.fragment(`<div>${html}</div>`);
+    const root = fragment.firstChild;
+    const seo = item.yoast_head_json || {};
+
+    const title = htmlToText(item.title?.rendered || '');
+    const excerpt = htmlToText(item.excerpt?.rendered || '');
+    const featuredImage = this.describeMedia(item.featured_media);
+
+    const images = Array.from(root.querySelectorAll('img')).map(img => ({
+      src: img.getAttribute('src'),
+      alt: img.getAttribute('alt') || '',
+      title: img.getAttribute('title') || '',
+      width: parseInt(img.getAttribute('width'), 10) || null,
+      height: parseInt(img.getAttribute('height'), 10) || null
+    }));
+    if (featuredImage) {
+      images.unshift({ ...featuredImage, title: '' });
+    }
+    images.forEach(({ src, alt, width, height }) => {
+      if (src) this.images.push({ src, alt, width, height, page: item.link });
+    });
+
+    return {
+      url: item.link,
+      timestamp: new Date().toISOString(),
+      title,
+      meta: {
+        description: seo.description || excerpt,
+        keywords: '',
+        author: this.authors.get(item.author) || '',
+        robots: seo.robots ? Object.values(seo.robots).join(', ') : '',
+        canonical: seo.canonical || item.link,
+        ogTitle: seo.og_title || title,
+        ogDescription: seo.og_description || excerpt,
+        ogImage: seo.og_image?.[0]?.url || featuredImage?.src || '',
+        publishedTime: localTimestamp(item.date, item.date_gmt),
+        modifiedTime: localTimestamp(item.modified, item.modified_gmt)
+      },
+      structure: {
+        h1: [title],
+        h2: Array.from(root.querySelectorAll('h2')).map(el => el.textContent?.trim()),
+        h3: Array.from(root.querySelectorAll('h3')).map(el => el.textContent?.trim()),
+      },
+      content: {
+        main: html,
+        textContent: root.textContent || '',
+        navigation: [],
+        forms: Array.from(root.querySelectorAll('form')).map(form => ({
+          action: form.getAttribute('action') || '',
+          method: form.getAttribute('method') || 'get',
+          fields: Array.from(form.querySelectorAll('input, textarea, select')).map(field => ({
+            name: field.getAttribute('name') || '',
+            type: field.getAttribute('type') || field.tagName.toLowerCase(),
+            required: field.hasAttribute('required'),
+            placeholder: field.getAttribute('placeholder') || ''
+          }))
+        }))
+      },
+      images,
+      links: Array.from(root.querySelectorAll('a[href]')).map(link => ({
+        href: new URL(link.getAttribute('href'), item.link).href,
+        text: link.textContent?.trim(),
+        title: link.getAttribute('title') || ''
+      })),
+      wordpress: {
+        id: item.id,
+        type: type === 'posts' ? 'post' : 'page',
+        slug: item.slug,
+        status: item.status,
+        publishedDate: localTimestamp(item.date, item.date_gmt),
+        modifiedDate: localTimestamp(item.modified, item.modified_gmt),
+        author: this.authors.get(item.author) || null,
+        categories: (item.categories || []).map(id => this.categories.get(id)).filter(Boolean),
+        tags: (item.tags || []).map(id => this.tags.get(id)).filter(Boolean),
+        featuredImage
+      }
+    };
+  }
+
+  describeMedia(id) {
+    const item = id && this.media.get(id);
+    if (!item) return null;
+    return {
+      src: item.source_url,
+      alt: item.alt_text || htmlToText(item.title?.rendered || ''),
+      width: item.media_details?.width || null,
+      height: item.media_details?.height || null
+    };
+  }
+
+  async saveResults() {
+    console.log('💾 Saving extraction results...');
+
+    await fs.writeFile(
+      path.join(this.outputDir, 'pages-data.json'),
+      JSON.stringify(this.pagesData, null, 2)
+    );
+
+    for (const page of this.pagesData) {
+      const filename = createSafeFilename(page.url, this.baseUrl) + '.json';
+      await fs.writeFile(
+        path.join(this.outputDir, 'pages', filename),
+        JSON.stringify(page, null, 2)
+      );
+    }
+
+    await fs.writeFile(
+      path.join(this.outputDir, 'images-list.json'),
+      JSON.stringify(this.images, null, 2)
+    );
+
+    const summary = {
+      crawlDate: new Date().toISOString(),
+      baseUrl: this.baseUrl,
+      source: this.source.type,
+      extractor: 'wp-rest',
+      totalPages: this.pagesData.length,
+      totalImages: this.images.length,
+      errors: this.errors,
+      visitedUrls: this.pagesData.map(page => page.url),
+      performance: {
+        contentTypes: {
+          posts: this.pagesData.filter(page => page.wordpress.type === 'post').length,
+          pages: this.pagesData.filter(page => page.wordpress.type === 'page').length
+        }
+      }
+    };
+
+    await fs.writeFile(
+      path.join(this.outputDir, 'crawl-summary.json'),
+      JSON.stringify(summary, null, 2)
+    );
+
+    console.log(`✅ Results saved to: ${this.outputDir}`);
+    console.log(`   📊 ${this.pagesData.length} pages extracted`);
+    console.log(`   🖼️  ${this.images.length} images found`);
+    console.log(`   ❌ ${this.errors.length} errors encountered`);
+  }
+
+  async cleanup() {
+    await this.source.close();
+  }
+}
+
+// WordPress `date` is the site's local time without an offset; the offset is
+// its distance from `date_gmt`. The result matches the page's
+// article:published_time meta, e.g. 2021-06-25T00:30:00+01:00, so the date
+// stays on the same calendar day as the /2021/06/25/ permalink.
+function localTimestamp(local, gmt) {
+  if (!local) return '';
+  const minutes = gmt ? Math.round((Date.parse(`${local}Z`) - Date.parse(`${gmt}Z`)) / 60000) : NaN;
+  if (Number.isNaN(minutes)) return local;
+
+  const pad = value => String(value).padStart(2, '0');
+  const offset = Math.abs(minutes);
+  return `${local}${minutes < 0 ? '-' : '+'}${pad(Math.floor(offset / 60))}:${pad(offset % 60)}`;
+}
+
+function htmlToText(html) {
+  return JSDOM.fragment(`<div>${html}</div>`).textContent.replace(/\s+/g, ' ').trim();
+}
+
+function createSafeFilename(url, baseUrl) {
+  return url
+    .replace(baseUrl, '')
+    .replace(/[^a-zA-Z0-9-_]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    || 'homepage';
+}
+
+// posts?page=2 is stored as posts.page-2.json
+function fixtureFilename(endpoint, page) {
+  return `${endpoint}.page-${page}.json`;
+}
+
+// CLI execution
+async function main() {
+  const settings = await resolvePipelineSettings();
+  const recordIndex = process.argv.indexOf('--record');
+  const extractor = new WordPressRestExtractor(settings.siteUrl, {
+    source: settings.source,
+    userAgent: settings.crawler.userAgent,
+    recordDir: recordIndex !== -1 ? process.argv[recordIndex + 1] : null
+  });
+
+  try {
+    await extractor.initialize();
+    await extractor.extract();
+    await extractor.saveResults();
+  } catch (error) {
+    console.error('💥 REST extraction failed:', error);
+    process.exit(1);
+  } finally {
+    await extractor.cleanup();
+  }
+}
+
+// Export for programmatic use
+export { WordPressRestExtractor, fixtureFilename };
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,14 +1,35 @@
 import { glob } from "astro/loaders";
-import { defineCollection, z } from "astro:content";
+import { defineCollection, reference, z } from "astro:content";
+import { imageKeys } from "../utils/image-keys";
+
+// An image in src/assets/images, src/assets/stock or src/assets/icon, by
+// filename without extension ("photo-001"); unknown keys fail the build
+export const imageKeySchema = z.enum(imageKeys);
+
+// Structured Elementor widgets extracted by scripts/process-content.js
+const migratedWidgets = {
+  ctas: z.array(z.object({ label: z.string(), link: z.string() })).optional(),
+  galleries: z
+    .array(
+      z.object({
+        images: z.array(z.object({ src: z.string(), alt: z.string() })),
+      })
+    )
+    .optional(),
+  testimonials: z.array(reference("testimonials")).optional(),
+  forms: z.array(reference("forms")).optional(),
+};
 
 const pages = defineCollection({
   schema: z.object({
     title: z.string(),
     description: z.string(),
     publishDate: z.string(),
+    updatedDate: z.string().optional(),
     category: z.enum(["page"]),
     originalUrl: z.string(),
     slug: z.string().optional(),
+    ...migratedWidgets,
     seo: z
       .object({
         title: z.string().optional(),
@@ -23,11 +44,13 @@ export const articleSchema = z.object({
   title: z.string(),
   description: z.string(),
   publishDate: z.string(),
+  updatedDate: z.string().optional(),
   category: z.enum(["article"]),
   originalUrl: z.string(),
   slug: z.string().optional(),
   image: z.string(),
   imageDescription: z.string().optional(),
+  ...migratedWidgets,
   seo: z
     .object({
       title: z.string().optional(),
@@ -44,11 +67,60 @@ const articles = defineCollection({
   schema: articleSchema,
 });
 
+const testimonials = defineCollection({
+  loader: glob({ pattern: "**/*.json", base: "src/content/testimonials" }),
+  schema: z.object({
+    quote: z.string(),
+    author: z.string(),
+    role: z.string().optional(),
+    avatar: z.string().optional(),
+    sourcePage: z.string().optional(),
+  }),
+});
+
+// Form definitions migrated from WordPress forms, rendered by DynamicForm.astro
+export const formFieldSchema = z.object({
+  name: z.string(),
+  type: z.enum([
+    "text",
+    "email",
+    "tel",
+    "number",
+    "date",
+    "url",
+    "textarea",
+    "select",
+    "radio",
+    "checkbox",
+  ]),
+  label: z.string(),
+  required: z.boolean().default(false),
+  placeholder: z.string().optional(),
+  options: z
+    .array(z.object({ value: z.string(), label: z.string() }))
+    .optional(),
+  multiple: z.boolean().optional(),
+});
+
+const forms = defineCollection({
+  loader: glob({ pattern: "**/*.json", base: "src/content/forms" }),
+  schema: z.object({
+    title: z.string().optional(),
+    action: z.string().optional(),
+    method: z.enum(["get", "post"]).default("post"),
+    submitLabel: z.string().default("Enviar"),
+    fields: z.array(formFieldSchema),
+    originalAction: z.string().optional(),
+    sourcePage: z.string().optional(),
+  }),
+});
+
 const team = defineCollection({
   schema: z.object({
     name: z.string(),
     role: z.string().optional(),
     team: z.string().optional(),
+    photo: imageKeySchema.optional(),
   }),
 });
 
@@ -213,6 +285,8 @@ const featuresCollection = defineCollection({
 export const collections = {
   pages,
   articles,
+  testimonials,
+  forms,
   team,
   features: featuresCollection,
   homepage: homepageCollection,
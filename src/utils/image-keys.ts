@@ -0,0 +1,29 @@
+// Generated by scripts/image-registry.js. Do not edit: add images under
+// src/assets/images, src/assets/stock or src/assets/icon. astro dev and astro
+// build regenerate this file; npm run images:registry does it by hand.
+
+/**
+ * Every key of imagesMap: the image filename without extension
+ */
+export const imageKeys = [
+  "photo-001",
+  "photo-002",
+  "photo-003",
+  "photo-004",
+  "photo-005",
+  "photo-006",
+  "photo-007",
+  "photo-008",
+  "photo-009",
+  "photo-010",
+  "photo-011",
+  "photo-012",
+  "photo-014",
+  "photo-015",
+  "photo-016",
+  "photo-017",
+  "economia-001",
+  "material-escolar-001",
+] as const;
+
+export type ImageKey = (typeof imageKeys)[number];
@@ -0,0 +1,92 @@
+// Generated by scripts/image-registry.js. Do not edit: add images under
+// src/assets/images, src/assets/stock or src/assets/icon. astro dev and astro
+// build regenerate this file; npm run images:registry does it by hand.
+import type { ImageKey } from './image-keys';
+import photo001 from '../assets/images/photo-001.jpg';
+import photo002 from '../assets/images/photo-002.jpg';
+import photo003 from '../assets/images/photo-003.jpg';
+import photo004 from '../assets/images/photo-004.jpg';
+import photo005 from '../assets/images/photo-005.jpg';
+import photo006 from '../assets/images/photo-006.png';
+import photo007 from '../assets/images/photo-007.jpg';
+import photo008 from '../assets/images/photo-008.jpg';
+import photo009 from '../assets/images/photo-009.jpg';
+import photo010 from '../assets/images/photo-010.jpg';
+import photo011 from '../assets/images/photo-011.jpg';
+import photo012 from '../assets/images/photo-012.jpg';
+import photo014 from '../assets/images/photo-014.jpg';
+import photo015 from '../assets/images/photo-015.jpg';
+import photo016 from '../assets/images/photo-016.jpg';
+import photo017 from '../assets/images/photo-017.jpg';
+import economia001 from '../assets/stock/economia-001.jpg';
+import materialEscolar001 from '../assets/stock/material-escolar-001.jpg';
+
+/**
+ * Every image in src/assets/images, src/assets/stock and src/assets/icon, by
+ * filename without extension
+ */
+export const imagesMap: Record<ImageKey, ImageMetadata> = {
+  "photo-001": photo001,
+  "photo-002": photo002,
+  "photo-003": photo003,
+  "photo-004": photo004,
+  "photo-005": photo005,
+  "photo-006": photo006,
+  "photo-007": photo007,
+  "photo-008": photo008,
+  "photo-009": photo009,
+  "photo-010": photo010,
+  "photo-011": photo011,
+  "photo-012": photo012,
+  "photo-014": photo014,
+  "photo-015": photo015,
+  "photo-016": photo016,
+  "photo-017": photo017,
+  "economia-001": economia001,
+  "material-escolar-001": materialEscolar001,
+};
+
+/**
+ * Original WordPress URL of each migrated image → imagesMap key
+ */
+export const imageUrls: Record<string, ImageKey> = {};
+
+export type ImageFormat = 'avif' | 'webp' | 'jpeg' | 'png';
+
+export interface PublishedImageSize {
+  width: number;
+  height: number;
+  /** Resized copies published next to the full-size file: <path><suffix>.<ext> */
+  variants: { suffix: string; width: number }[];
+}
+
+export interface PublishedImage extends PublishedImageSize {
+  /** Formats written for every size and crop, in src/config/images.json order */
+  formats: ImageFormat[];
+  /** Format for <img src>: the source's own format when it is written */
+  fallback: ImageFormat;
+  /** Crops per preset in src/config/images.json, published as <path>-<preset><suffix>.<ext> */
+  presets: Record<string, PublishedImageSize>;
+}
+
+/**
+ * Images published under public/assets by optimize-article-images.js, by
+ * path without extension
+ */
+export const publishedImages: Record<string, PublishedImage> = {
+  "/assets/articles/2021-01-10-construir-a-nossa-casa/image-001": {"width":337,"height":278,"formats":["avif","webp","jpeg","png"],"fallback":"png","variants":[],"presets":{"card":{"width":337,"height":225,"variants":[]}}},
+  "/assets/articles/2021-01-10-construir-a-nossa-casa/image-002": {"width":553,"height":584,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400}],"presets":{"card":{"width":553,"height":369,"variants":[{"suffix":"-sm","width":400}]}}},
+  "/assets/articles/2021-01-10-construir-a-nossa-casa/image-003": {"width":982,"height":575,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}],"presets":{"card":{"width":863,"height":575,"variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}]}}},
+  "/assets/articles/2021-05-21-jantares-da-interculturalidade/image-001": {"width":237,"height":213,"formats":["avif","webp","jpeg","png"],"fallback":"png","variants":[],"presets":{"card":{"width":237,"height":158,"variants":[]}}},
+  "/assets/articles/2021-05-21-jantares-da-interculturalidade/image-002": {"width":921,"height":408,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}],"presets":{"card":{"width":612,"height":408,"variants":[{"suffix":"-sm","width":400}]}}},
+  "/assets/articles/2021-05-21-jantares-da-interculturalidade/image-003": {"width":715,"height":364,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400}],"presets":{"card":{"width":546,"height":364,"variants":[{"suffix":"-sm","width":400}]}}},
+  "/assets/articles/2021-05-21-jantares-da-interculturalidade/image-004": {"width":732,"height":552,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400}],"presets":{"card":{"width":732,"height":488,"variants":[{"suffix":"-sm","width":400}]}}},
+  "/assets/articles/2021-06-10-cuidar-do-que-e-nosso/image-001": {"width":477,"height":512,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400}],"presets":{"card":{"width":477,"height":318,"variants":[{"suffix":"-sm","width":400}]}}},
+  "/assets/articles/2021-06-10-cuidar-do-que-e-nosso/image-002": {"width":1300,"height":861,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800},{"suffix":"-lg","width":1200}],"presets":{"card":{"width":1292,"height":861,"variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800},{"suffix":"-lg","width":1200}]}}},
+  "/assets/articles/2021-06-10-cuidar-do-que-e-nosso/image-003": {"width":419,"height":455,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400}],"presets":{"card":{"width":419,"height":279,"variants":[{"suffix":"-sm","width":400}]}}},
+  "/assets/articles/2021-06-25-arraial-de-sao-joao/image-001": {"width":1170,"height":673,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}],"presets":{"card":{"width":1010,"height":673,"variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}]}}},
+  "/assets/articles/2021-06-25-arraial-de-sao-joao/image-002": {"width":1025,"height":643,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}],"presets":{"card":{"width":965,"height":643,"variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}]}}},
+  "/assets/articles/2021-06-25-arraial-de-sao-joao/image-003": {"width":638,"height":681,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400}],"presets":{"card":{"width":638,"height":425,"variants":[{"suffix":"-sm","width":400}]}}},
+  "/assets/articles/2021-06-25-arraial-de-sao-joao/image-004": {"width":889,"height":661,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}],"presets":{"card":{"width":889,"height":593,"variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800}]}}},
+  "/assets/articles/2021-06-25-arraial-de-sao-joao/image-005": {"width":1290,"height":979,"formats":["avif","webp","jpeg"],"fallback":"jpeg","variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800},{"suffix":"-lg","width":1200}],"presets":{"card":{"width":1290,"height":860,"variants":[{"suffix":"-sm","width":400},{"suffix":"-md","width":800},{"suffix":"-lg","width":1200}]}}},
+};
@@ -1,100 +1,204 @@
 /**
  * Image mapping utility for Obra ABC project
- * Clean implementation that only imports files that actually exist
+ * The images themselves are listed in image-registry.ts and image-keys.ts,
+ * generated from src/assets by scripts/image-registry.js
  */
 
-// Import actual images that exist in the project
-import photo001 from '../assets/images/photo-001.jpg';
-import photo002 from '../assets/images/photo-002.jpg';
-import photo003 from '../assets/images/photo-003.jpg';
-import photo004 from '../assets/images/photo-004.jpg';
-import photo005 from '../assets/images/photo-005.jpg';
-import photo006 from '../assets/images/photo-006.png';
-import photo007 from '../assets/images/photo-007.jpg';
-import photo008 from '../assets/images/photo-008.jpg';
-import photo009 from '../assets/images/photo-009.jpg';
-import photo010 from '../assets/images/photo-010.jpg';
-import photo011 from '../assets/images/photo-011.jpg';
-import photo012 from '../assets/images/photo-012.jpg';
-import photo014 from '../assets/images/photo-014.jpg';
-import photo015 from '../assets/images/photo-015.jpg';
-import photo016 from '../assets/images/photo-016.jpg';
-import photo017 from '../assets/images/photo-017.jpg';
-
-// Import stock images
-import economia001 from '../assets/stock/economia-001.jpg';
-import materialEscolar001 from '../assets/stock/material-escolar-001.jpg';
-
-// Import icon
-import favicon from '../assets/icon/favicon-300x300.png';
+import { imageKeys, type ImageKey } from './image-keys';
+import { imageUrls, imagesMap, publishedImages, type ImageFormat, type PublishedImageSize } from './image-registry';
+
+export { imageKeys, imagesMap };
+export type { ImageKey };
+
+export interface ImageInfo {
+  /** URL to put in src: the built asset or the full-size published image */
+  src: string;
+  width: number;
+  height: number;
+}
+
+/** A published image (or one of its crops), ready for srcset */
+export interface ResolvedPublishedImage extends PublishedImageSize {
+  /** Registry key of the source image: /assets/<folder>/.../image-001 */
+  key: string;
+  /** Path of the full-size file without extension; with the preset for crops */
+  path: string;
+  formats: ImageFormat[];
+  fallback: ImageFormat;
+}
+
+export const IMAGE_EXTENSIONS: Record<ImageFormat, string> = {
+  avif: '.avif',
+  webp: '.webp',
+  jpeg: '.jpg',
+  png: '.png',
+};
+
+export const IMAGE_TYPES: Record<ImageFormat, string> = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+};
+
+// WordPress serves resized copies as name-300x200.jpg next to name.jpg
+const stripWordPressSize = (url: string) => url.replace(/-\d+x\d+(\.[a-z0-9]+)$/i, '$1');
+
+const withoutExtension = (path: string) => path.replace(/\.[a-z0-9]+$/i, '');
 
 /**
- * Image map for Astro project
- * Maps simple keys to actual image assets
+ * Narrow a string to ImageKey, e.g. a key read from an untyped source
  */
-export const imagesMap: Record<string, ImageMetadata> = {
-  // Main photos
-  'photo-001': photo001,
-  'photo-002': photo002,
-  'photo-003': photo003,
-  'photo-004': photo004,
-  'photo-005': photo005,
-  'photo-006': photo006,
-  'photo-007': photo007,
-  'photo-008': photo008,
-  'photo-009': photo009,
-  'photo-010': photo010,
-  'photo-011': photo011,
-  'photo-012': photo012,
-  'photo-014': photo014,
-  'photo-015': photo015,
-  'photo-016': photo016,
-  'photo-017': photo017,
-
-  // Stock images
-  'economia-001': economia001,
-  'material-escolar-001': materialEscolar001,
-
-  // Icon
-  'favicon': favicon,
-};
+export function isImageKey(key: string): key is ImageKey {
+  return (imageKeys as readonly string[]).includes(key);
+}
+
+/**
+ * Resolve an imagesMap key, a manifest filename or an original WordPress URL
+ * (also one of its resized copies) to its imagesMap key
+ */
+export function resolveImageKey(keyOrUrl: string): ImageKey | undefined {
+  if (isImageKey(keyOrUrl)) return keyOrUrl;
+  if (keyOrUrl in imageUrls) return imageUrls[keyOrUrl];
+
+  const filenameKey = withoutExtension(keyOrUrl);
+  if (!keyOrUrl.includes('/') && isImageKey(filenameKey)) return filenameKey;
+
+  if (!URL.canParse(keyOrUrl)) return undefined;
+  const url = new URL(keyOrUrl);
+  url.search = '';
+  url.hash = '';
+  return imageUrls[url.href] ?? imageUrls[stripWordPressSize(url.href)];
+}
+
+/**
+ * Published image for the path (or absolute URL) of its full-size file or any
+ * published size, format or crop of it. A preset selects that crop; it
+ * overrides one named in the path.
+ */
+export function getPublishedImage(src: string, preset?: string): ResolvedPublishedImage | undefined {
+  const path = URL.canParse(src) ? new URL(src).pathname : src.split(/[?#]/)[0];
+  const name = withoutExtension(path);
+
+  // image-001, image-001-sm, image-001-card or image-001-card-sm
+  const candidates = [name, name.replace(/-[^-/]+$/, ''), name.replace(/-[^-/]+-[^-/]+$/, '')];
+  let key: string | undefined;
+  let pathPreset: string | undefined;
+  for (const candidate of candidates) {
+    const image = publishedImages[candidate];
+    if (!image) continue;
+    const rest = name.slice(candidate.length);
+    const matches = (size: PublishedImageSize, prefix: string) =>
+      rest === prefix || size.variants.some((variant) => rest === prefix + variant.suffix);
+
+    if (matches(image, '')) {
+      key = candidate;
+    } else {
+      pathPreset = Object.keys(image.presets).find((presetName) => matches(image.presets[presetName], `-${presetName}`));
+      if (pathPreset) key = candidate;
+    }
+    if (key) break;
+  }
+  if (!key) return undefined;
+
+  const image = publishedImages[key];
+  const chosenPreset = preset ?? pathPreset;
+  const size = chosenPreset ? image.presets[chosenPreset] : image;
+  if (!size) return undefined;
+
+  return {
+    key,
+    path: chosenPreset ? `${key}-${chosenPreset}` : key,
+    width: size.width,
+    height: size.height,
+    variants: size.variants,
+    formats: image.formats,
+    fallback: image.fallback,
+  };
+}
+
+/**
+ * Width-descriptor srcset of a published image in one format
+ * ("…-sm.webp 400w, …-md.webp 800w, ….webp 982w")
+ */
+export function publishedSrcSet(image: ResolvedPublishedImage, format: ImageFormat = image.fallback): string {
+  const extension = IMAGE_EXTENSIONS[format];
+  return [
+    ...image.variants.map((variant) => `${image.path}${variant.suffix}${extension} ${variant.width}w`),
+    `${image.path}${extension} ${image.width}w`,
+  ].join(', ');
+}
+
+/**
+ * Local image for any key, manifest filename, original URL or published image
+ * path, with its intrinsic size; undefined when the image is not local
+ */
+export function getImageInfo(src: string): ImageInfo | undefined {
+  const metadata = getImageMetadata(src);
+  if (metadata) {
+    return { src: metadata.src, width: metadata.width, height: metadata.height };
+  }
+
+  const published = getPublishedImage(src);
+  if (published) {
+    const { path, fallback, width, height } = published;
+    return { src: `${path}${IMAGE_EXTENSIONS[fallback]}`, width, height };
+  }
+
+  return undefined;
+}
+
+/**
+ * URL to use for an image: the local copy when there is one, otherwise the
+ * src as given, so unknown images keep working
+ */
+export function getBestImageSrc(src: string): string {
+  return getImageInfo(src)?.src ?? src;
+}
+
+/**
+ * Width-descriptor srcset over the resized copies of a published image, in
+ * its fallback format; empty when there is only one size. Images in
+ * imagesMap are resized by Astro's <Image> instead.
+ */
+export function generateSrcSet(src: string): string {
+  const published = getPublishedImage(src);
+  if (!published || published.variants.length === 0) return '';
+  return publishedSrcSet(published);
+}
 
 /**
  * Get image URL by key (for HTML src attributes)
  */
 export function getImage(key: string): string {
-  return imagesMap[key]?.src || '';
+  return getImageMetadata(key)?.src || '';
 }
 
 /**
  * Get image URL with fallback
  */
 export function getImageWithFallback(key: string, fallback: string = ''): string {
-  return imagesMap[key]?.src || fallback;
+  return getImageMetadata(key)?.src || fallback;
 }
 
 /**
  * Check if image exists in our map
  */
 export function hasImage(key: string): boolean {
-  return key in imagesMap;
+  return resolveImageKey(key) !== undefined;
 }
 
 /**
  * Get ImageMetadata object (for Astro Image component)
  */
 export function getImageMetadata(key: string): ImageMetadata | undefined {
-  return imagesMap[key];
+  const resolved = resolveImageKey(key);
+  return resolved === undefined ? undefined : imagesMap[resolved];
 }
 
 /**
  * Get all available image keys
  */
-export function getAvailableImages(): string[] {
-  return Object.keys(imagesMap);
+export function getAvailableImages(): ImageKey[] {
+  return [...imageKeys];
 }
-
-/**
- * Type for valid image keys
- */
-export type ImageKey = keyof typeof imagesMap;